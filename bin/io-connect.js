@@ -0,0 +1,293 @@
+#!/usr/bin/env node
+/**
+ * io-connect command-line tool.
+ *
+ * Maps subcommands to DataAccess methods so common lookups do not need a script. Credentials are read from
+ * flags, then the environment, then a JSON config file.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+import DataAccess from "../index.js";
+import { toCsvCell } from "../utils/export.js";
+
+const USAGE = `Usage: io-connect <command> [options]
+
+Commands:
+  user                              User info
+  devices                           Devices in the account
+  metadata <devID>                  Device metadata
+  query --device <devID>            Sensor data in a time range (--sensors, --start, --end)
+  first-dp --device <devID>         First datapoints after --start (--sensors, --n)
+  last-dp --device <devID>          Last datapoints before --end (--sensors, --n)
+  consumption --device <devID>      Consumption of --sensor between --start and --end (--interval)
+  clusters                          Load entities (clusters), optionally --clusters <id,id>
+  cluster-agg --cluster <id>        Cluster aggregation (--type, --op1, --op2, --start, --end)
+  trigger <title> [title...]        Trigger parameters by title
+
+Options:
+  --format <table|json|csv>         Output format (default: table)
+  --tz <timezone>                   Timezone of times given and returned, e.g. Asia/Kolkata
+  --sensors <id,id>                 Sensor IDs, defaults to all sensors
+  --cal / --no-cal                  Apply sensor calibration (default: on)
+  --alias                           Use sensor names instead of IDs
+  --unix                            Return Unix millisecond timestamps
+  --user-id, --data-url, --ds-url   Credentials, default to IOSENSE_USER_ID, IOSENSE_DATA_URL, IOSENSE_DS_URL
+  --on-prem                         Use on-premise endpoints (IOSENSE_ON_PREM=true)
+  --config <file>                   JSON config file with userId, dataUrl, dsUrl, onPrem and tz,
+                                    protocol, port, pathPrefix and endpoints,
+                                    and tls, proxy, headers and apiToken (IOSENSE_API_TOKEN)
+                                    (default: IO_CONNECT_CONFIG, ./io-connect.json or ~/.io-connect.json)
+  --verbose                         Log requests to stderr
+  --help                            Show this help
+
+Times are ISO strings, Unix milliseconds or expressions such as now-24h, today or "start of month".`;
+
+const BOOLEAN_FLAGS = ["alias", "unix", "cal", "on-prem", "verbose", "help"];
+const FORMATS = ["table", "json", "csv"];
+
+/**
+ * Splits command-line arguments into positional arguments and options.
+ * Supports `--key value`, `--key=value`, boolean flags and their `--no-` forms.
+ * @param {Array<string>} argv - Arguments without the node and script paths
+ * @returns {Object} `{positional, options}`
+ */
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith("--")) {
+      positional.push(arg);
+      continue;
+    }
+
+    let [key, value] = arg.slice(2).split(/=(.*)/s);
+    if (key.startsWith("no-") && BOOLEAN_FLAGS.includes(key.slice(3))) {
+      options[key.slice(3)] = false;
+    } else if (BOOLEAN_FLAGS.includes(key)) {
+      options[key] = value === undefined ? true : value !== "false";
+    } else {
+      if (value === undefined) {
+        value = argv[++i];
+        if (value === undefined) throw new Error(`Missing value for --${key}`);
+      }
+      options[key] = value;
+    }
+  }
+  return { positional, options };
+}
+
+/**
+ * Reads the config file given by --config, IO_CONNECT_CONFIG, ./io-connect.json or ~/.io-connect.json.
+ * @returns {Object} The parsed config, empty if no default file exists
+ */
+function loadConfig(file, env) {
+  const explicit = file || env.IO_CONNECT_CONFIG;
+  const candidates = explicit
+    ? [explicit]
+    : [path.resolve("io-connect.json"), path.join(os.homedir(), ".io-connect.json")];
+
+  for (const candidate of candidates) {
+    if (!explicit && !fs.existsSync(candidate)) continue;
+    try {
+      return JSON.parse(fs.readFileSync(candidate, "utf8"));
+    } catch (error) {
+      throw new Error(`Could not read config file ${candidate}: ${error.message}`);
+    }
+  }
+  return {};
+}
+
+/**
+ * Resolves the client options from flags, the environment and the config file, in that order.
+ * @returns {Object} DataAccess constructor options
+ */
+function resolveConfig(options, env) {
+  const config = loadConfig(options.config, env);
+  const onPrem = options["on-prem"] ?? (env.IOSENSE_ON_PREM !== undefined ? env.IOSENSE_ON_PREM === "true" : config.onPrem);
+  const resolved = {
+    userId: options["user-id"] || env.IOSENSE_USER_ID || config.userId,
+    dataUrl: options["data-url"] || env.IOSENSE_DATA_URL || config.dataUrl,
+    dsUrl: options["ds-url"] || env.IOSENSE_DS_URL || config.dsUrl,
+    onPrem: onPrem ?? false,
+    tz: options.tz || env.IOSENSE_TZ || config.tz || "UTC",
+    // Connection settings of on-prem sites, only read from the config file apart from the token
+    protocol: config.protocol,
+    port: config.port,
+    pathPrefix: config.pathPrefix,
+    endpoints: config.endpoints,
+    tls: config.tls,
+    proxy: config.proxy,
+    headers: config.headers,
+    apiToken: env.IOSENSE_API_TOKEN || config.apiToken,
+  };
+  if (!resolved.userId || !resolved.dataUrl) {
+    throw new Error("Missing credentials. Set IOSENSE_USER_ID and IOSENSE_DATA_URL, pass --user-id and --data-url, or use a config file.");
+  }
+  return resolved;
+}
+
+/**
+ * Converts all-digit time arguments to Unix milliseconds, other strings are parsed by DataAccess.
+ */
+const toTime = (value) => (value !== undefined && /^\d+$/.test(value) ? Number(value) : value ?? null);
+const toList = (value) => (value ? value.split(",").map((item) => item.trim()).filter(Boolean) : null);
+
+function requireOption(options, name) {
+  if (!options[name]) throw new Error(`Missing required option --${name}`);
+  return options[name];
+}
+
+/**
+ * Runs a subcommand against the client.
+ * @returns {Promise<any>} The method result
+ */
+async function runCommand(dataAccess, command, positional, options) {
+  const common = {
+    cal: options.cal ?? true,
+    alias: options.alias ?? false,
+    unix: options.unix ?? false,
+  };
+
+  switch (command) {
+    case "user":
+      return dataAccess.getUserInfo();
+    case "devices":
+      return dataAccess.getDeviceDetails();
+    case "metadata":
+      if (!positional[0]) throw new Error("Usage: io-connect metadata <devID>");
+      return dataAccess.getDeviceMetaData(positional[0]);
+    case "query":
+      return dataAccess.dataQuery({
+        deviceId: requireOption(options, "device"),
+        sensorList: toList(options.sensors),
+        startTime: toTime(options.start),
+        endTime: toTime(options.end),
+        ...common,
+      });
+    case "first-dp":
+      return dataAccess.getFirstDp({
+        deviceId: requireOption(options, "device"),
+        sensorList: toList(options.sensors),
+        startTime: toTime(options.start),
+        n: Number(options.n ?? 1),
+        ...common,
+      });
+    case "last-dp":
+      return dataAccess.getDp({
+        deviceId: requireOption(options, "device"),
+        sensorList: toList(options.sensors),
+        endTime: toTime(options.end),
+        n: Number(options.n ?? 1),
+        ...common,
+      });
+    case "consumption":
+      return dataAccess.fetchConsumption({
+        deviceId: requireOption(options, "device"),
+        sensor: requireOption(options, "sensor"),
+        startTime: toTime(options.start),
+        endTime: toTime(options.end),
+        interval: options.interval ? Number(options.interval) : null,
+        ...common,
+      });
+    case "clusters":
+      return dataAccess.getLoadEntities({ clusters: toList(options.clusters) });
+    case "cluster-agg":
+      return dataAccess.clusterAggregation({
+        clusterId: requireOption(options, "cluster"),
+        clusterType: requireOption(options, "type"),
+        operator1: requireOption(options, "op1"),
+        operator2: requireOption(options, "op2"),
+        startTime: toTime(options.start),
+        endTime: toTime(options.end),
+        unix: common.unix,
+      });
+    case "trigger":
+      if (positional.length === 0) throw new Error("Usage: io-connect trigger <title> [title...]");
+      return dataAccess.triggerParameter({ titleList: positional });
+    default:
+      throw new Error(`Unknown command: ${command}. Run io-connect --help for the list of commands.`);
+  }
+}
+
+/**
+ * Converts a result to rows for table and CSV output.
+ * Arrays of objects are used as is, `{data, columns}` tables are expanded and other objects become key/value rows.
+ * @returns {Object} `{columns, rows}`
+ */
+function toRows(result) {
+  if (result && Array.isArray(result.data) && Array.isArray(result.columns)) {
+    const rows = result.data.map((values) => Object.fromEntries(result.columns.map((column, i) => [column, values[i]])));
+    return { columns: result.columns, rows };
+  }
+  if (Array.isArray(result)) {
+    const rows = result.map((item) => (item !== null && typeof item === "object" ? item : { value: item }));
+    return { columns: [...new Set(rows.flatMap((row) => Object.keys(row)))], rows };
+  }
+  if (result !== null && typeof result === "object") {
+    return { columns: ["key", "value"], rows: Object.entries(result).map(([key, value]) => ({ key, value })) };
+  }
+  return { columns: ["value"], rows: [{ value: result }] };
+}
+
+const toCell = (value) =>
+  value === undefined || value === null ? "" : typeof value === "object" ? JSON.stringify(value) : String(value);
+
+/**
+ * Formats a result as an aligned text table, JSON or CSV.
+ * @returns {string} The formatted output
+ */
+function formatResult(result, format) {
+  if (format === "json") return JSON.stringify(result, null, 2);
+
+  const { columns, rows } = toRows(result);
+  if (format === "csv") {
+    return [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+      .map((line) => line.map(toCsvCell).join(","))
+      .join("\n");
+  }
+
+  if (rows.length === 0) return "(no results)";
+  const cells = rows.map((row) => columns.map((column) => toCell(row[column])));
+  // Reduced rather than spread into Math.max, which overflows the stack on large results
+  const widths = columns.map((column, i) => cells.reduce((width, line) => Math.max(width, line[i].length), column.length));
+  const formatLine = (line) => line.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+  return [formatLine(columns), formatLine(widths.map((width) => "-".repeat(width))), ...cells.map(formatLine)].join("\n");
+}
+
+async function main(argv = process.argv.slice(2), env = process.env) {
+  const { positional, options } = parseArgs(argv);
+  const [command, ...args] = positional;
+  if (options.help || !command) {
+    console.log(USAGE);
+    return;
+  }
+
+  const format = options.format || "table";
+  if (!FORMATS.includes(format)) {
+    throw new Error(`Invalid format: ${format}. Use one of ${FORMATS.join(", ")}`);
+  }
+
+  // Logs go to stderr so the output stays parseable
+  const log = options.verbose ? (message) => console.error(message) : () => {};
+  const dataAccess = new DataAccess({
+    ...resolveConfig(options, env),
+    logTime: options.verbose ?? false,
+    logger: { info: log, error: log },
+    throwOnError: true,
+  });
+
+  try {
+    const result = await runCommand(dataAccess, command, args, options);
+    console.log(formatResult(result, format));
+  } finally {
+    dataAccess.close();
+  }
+}
+
+main().catch((error) => {
+  console.error(`Error: ${error.message}`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,115 @@
+import { REQUEST_TIMEOUT } from "../utils/constants.js";
+import { combineSignals } from "../utils/abort.js";
+import { RequestAbortedError } from "../utils/errors.js";
+import Logger from "../utils/store.js";
+import { isValidTimezone } from "../utils/time.js";
+import Transport from "../utils/transport.js";
+
+/**
+ * Connection settings, error handling and cancellation shared by DataAccess and EventsHandler, so one
+ * config object can be given to both clients.
+ */
+export default class BaseClient {
+  /**
+   * Class constructor for BaseClient. The options are documented on DataAccess.
+   * @param {Object} options - Client options: `userId`, `dataUrl`, `onPrem`, `protocol`, `port`, `pathPrefix`, `endpoints`, `tz`,
+   *        `logTime`, `logger`, `timeout`, `throwOnError`, `recorder`, `hooks`, `signal`, `timeoutMs`, `limiter`, `tls`, `proxy`,
+   *        `headers` and `apiToken`.
+   * @throws {Error} If the timezone is not a valid IANA name
+   */
+  constructor({
+    userId,
+    dataUrl,
+    onPrem = false,
+    protocol = null,
+    port = null,
+    pathPrefix = "",
+    endpoints = {},
+    tz = "UTC",
+    logTime = false,
+    logger = null,
+    timeout = REQUEST_TIMEOUT,
+    throwOnError = false,
+    recorder = null,
+    hooks = {},
+    signal = null,
+    timeoutMs = null,
+    limiter = null,
+    tls = {},
+    proxy = null,
+    headers = {},
+    apiToken = null,
+  }) {
+    this.userId = userId;
+    this.dataUrl = dataUrl;
+    this.onPrem = onPrem;
+    if (!isValidTimezone(tz)) {
+      throw new Error(`Invalid timezone: ${tz}`);
+    }
+    this.tz = tz;
+    this.logTime = logTime;
+    this.logger = new Logger(logger, "", logTime);
+    this.throwOnError = throwOnError;
+    this.signal = signal;
+    this.timeoutMs = timeoutMs;
+    this.transport = new Transport({
+      userId,
+      dataUrl,
+      onPrem,
+      protocol,
+      port,
+      pathPrefix,
+      endpoints,
+      timeout,
+      logger: this.logger,
+      recorder,
+      hooks,
+      limiter,
+      tls,
+      proxy,
+      headers,
+      apiToken,
+    });
+    // Queue depth and requests in flight, see RateLimiter.stats. Null without limiter
+    this.limiter = this.transport.limiter;
+  }
+
+  /**
+   * Closes the pooled connections held by this client.
+   * @example
+   * const dataAccess = new DataAccess({userId: "my_user_id", dataUrl: "data.url.com", dsUrl: "example_ds.com"});
+   * await dataAccess.getUserInfo();
+   * dataAccess.close();
+   */
+  close() {
+    this.transport.close();
+  }
+
+  /**
+   * Logs an error and either rethrows it or returns the empty result of the calling method.
+   * @param {Error} error - The error raised by the calling method
+   * @param {any} fallback - Value returned when throwOnError is disabled
+   * @param {string} [url] - The URL that was requested
+   * @returns {any} The fallback value
+   * @throws {Error} The given error when throwOnError is enabled
+   * @throws {RequestAbortedError} If the call was cancelled, regardless of throwOnError
+   */
+  _handleError(error, fallback, url) {
+    // A cancelled call must not look like an empty result, so aborts are always rethrown
+    if (error instanceof RequestAbortedError) throw error;
+    this.transport.logError(error, url);
+    if (this.throwOnError) throw error;
+    return fallback;
+  }
+
+  /**
+   * Combines the client signal, the call signal and the call deadline (or the client default) into the signal of one call.
+   * @param {Object} [options] - The cancellation options of the call
+   * @param {AbortSignal} [options.signal=null] - Signal of the call
+   * @param {number} [options.timeoutMs=null] - Deadline of the call in milliseconds, defaults to the client timeoutMs
+   * @returns {Object} `{signal, dispose}`, call dispose once the call settled
+   */
+  _cancellation({ signal = null, timeoutMs = null } = {}) {
+    return combineSignals([this.signal, signal], timeoutMs ?? this.timeoutMs);
+  }
+}
@@ -0,0 +1,386 @@
+import {
+  EVENTS_PAGE_SIZE,
+  GET_DETAILED_EVENT_URL,
+  GET_EVENT_CATEGORIES_URL,
+  GET_EVENT_DATA_COUNT_URL,
+  GET_EVENTS_IN_TIMESLOT_URL,
+  PUBLISH_EVENT_URL,
+} from "../utils/constants.js";
+import { InvalidResponseError, InvalidTimeRangeError } from "../utils/errors.js";
+import { formatTime, toDate, toUnix } from "../utils/time.js";
+import BaseClient from "./BaseClient.js";
+
+/**
+ * Throws when an events response reports a failure or does not carry the "data" key.
+ * @param {Object} responseData - The parsed response body
+ */
+const requireEventData = (responseData) => {
+  if (!responseData || responseData.success === false || responseData.errors || responseData.data === undefined) {
+    throw new InvalidResponseError('Missing "data" in response', { body: responseData });
+  }
+};
+
+export default class EventsHandler extends BaseClient {
+  /**
+   * Class constructor for EventsHandler. Takes the same options as DataAccess, so one config object can
+   * be shared by both clients.
+   * @param {Object} options - Configuration options for EventsHandler.
+   * @param {string} options.userId - The user ID to use for API requests.
+   * @param {string} options.dataUrl - The data URL for the API.
+   * @param {boolean} [options.onPrem=false] - Whether the API is on-premises or Live.
+   * @param {string} [options.protocol=null] - "http" or "https" for every request, overriding onPrem, see DataAccess.
+   * @param {number} [options.port=null] - Port of the data URL, replacing any port given in `dataUrl`.
+   * @param {string} [options.pathPrefix=""] - Path the API is mounted under, e.g. "/iosense".
+   * @param {Object<string, string>} [options.endpoints={}] - Endpoint templates or paths keyed by their name in ENDPOINTS, see DataAccess.
+   * @param {string} [options.tz="UTC"] - Timezone (IANA name, e.g. "Asia/Kolkata") of naive input times and returned timestamps.
+   * @param {boolean} [options.logTime=false] - Whether to log time taken for requests.
+   * @param {Object} [options.logger=null] - Logger instance to use for logging.
+   * @param {number} [options.timeout=REQUEST_TIMEOUT] - Request timeout in milliseconds.
+   * @param {boolean} [options.throwOnError=false] - Whether to throw errors (see utils/errors.js) instead of logging them and returning an empty result.
+   * @param {string|Object} [options.recorder=null] - Records or replays HTTP traffic, see utils/recorder.js.
+   * @param {Object<string, Function>} [options.hooks={}] - Request lifecycle hooks, see DataAccess.
+   * @param {AbortSignal} [options.signal=null] - Cancels every call of this client once aborted.
+   * @param {number} [options.timeoutMs=null] - Default deadline in milliseconds of each method call, see DataAccess.
+   * @param {RateLimiter|Object} [options.limiter=null] - Client-side rate limiting, see DataAccess.
+   * @param {Object} [options.tls={}] - TLS settings (`ca`, `cert`, `key`, `pfx`, `passphrase`, `rejectUnauthorized`), see DataAccess.
+   * @param {string|Object} [options.proxy=null] - HTTP(S) proxy, see DataAccess.
+   * @param {Object<string, string>} [options.headers={}] - Extra headers sent with every request.
+   * @param {string} [options.apiToken=null] - API token sent as `Authorization: Bearer <token>`.
+   */
+  constructor(options) {
+    super(options);
+  }
+
+  /**
+   * Converts a time input to the UTC ISO string expected by the events service.
+   * @param {string|number|Date|null} time - The time, null for now
+   * @param {string} [tz=null] - Timezone of naive and named times. Defaults to the client timezone
+   * @returns {string} e.g. "2025-02-01T00:00:00.000Z"
+   */
+  _isoTime(time, tz = null) {
+    return new Date(toUnix(time, tz || this.tz)).toISOString();
+  }
+
+  /**
+   * Converts the `createdOn` timestamp of each event to Unix milliseconds or an ISO string in the timezone.
+   * @param {Array<Object>} events - Events returned by the platform
+   * @param {Object} options - `{unix, tz}`
+   * @returns {Array<Object>} The events with converted timestamps
+   */
+  _formatEvents(events, { unix = false, tz = null } = {}) {
+    if (!Array.isArray(events)) return events;
+    return events.map((event) => {
+      if (!event || event.createdOn === undefined || event.createdOn === null) return event;
+      const createdOn = toDate(event.createdOn);
+      if (isNaN(createdOn.getTime())) return event;
+      return { ...event, createdOn: unix ? createdOn.getTime() : formatTime(createdOn, tz || this.tz) };
+    });
+  }
+
+  /**
+   * Publishes an event.
+   *
+   * @param {Object} options - Parameters
+   * @param {string} options.message - The event message
+   * @param {Object} [options.metaData={}] - Metadata stored with the event
+   * @param {Object} [options.hoverData={}] - Data shown when hovering the event in the dashboard
+   * @param {(string|number|Date)} [options.createdOn=null] - Time of the event. Defaults to now
+   * @param {Array<string>} [options.eventTagsList=null] - IDs of the event categories (see getEventCategories)
+   * @param {Array<string>} [options.eventNamesList=null] - Names of the event categories, resolved to IDs when eventTagsList is not given
+   * @param {string} [options.title=null] - The event title
+   * @param {boolean} [options.onPrem=null] - Overrides the client onPrem flag for this request
+   * @param {AbortSignal} [options.signal=null] - Cancels the request
+   * @param {number} [options.timeoutMs=null] - Deadline in milliseconds, defaults to the client timeoutMs
+   * @returns {Promise<Object>} The published event, or an empty object on error
+   *
+   * @example
+   * const events = new EventsHandler({ userId: "my_user_id", dataUrl: "data.url.com" });
+   * await events.publishEvent({
+   *   title: "Boiler trip",
+   *   message: "Boiler 2 tripped on high pressure",
+   *   eventNamesList: ["Alarms"],
+   *   metaData: { deviceId: "PTH_1009" },
+   *   createdOn: "2025-02-01 08:00"
+   * });
+   *
+   * @throws {Error} If neither eventTagsList nor eventNamesList is given, or a category name is unknown.
+   */
+  async publishEvent({
+    message,
+    metaData = {},
+    hoverData = {},
+    createdOn = null,
+    eventTagsList = null,
+    eventNamesList = null,
+    title = null,
+    onPrem = null,
+    signal = null,
+    timeoutMs = null,
+  } = {}) {
+    const cancel = this._cancellation({ signal, timeoutMs });
+    try {
+      const url = this.transport.buildUrl(PUBLISH_EVENT_URL, { onPrem });
+
+      let eventTags = eventTagsList;
+      if (!eventTags) {
+        if (!eventNamesList || eventNamesList.length === 0) {
+          throw new Error("Either eventTagsList or eventNamesList must be provided");
+        }
+        eventTags = await this._resolveEventTags(eventNamesList, onPrem, cancel.signal);
+      }
+
+      const payload = {
+        title,
+        message,
+        metaData,
+        eventTags,
+        hoverData,
+        createdOn: this._isoTime(createdOn),
+      };
+
+      const responseData = await this.transport.request({
+        name: "publishEvent",
+        method: "post",
+        url,
+        data: payload,
+        headers: { "Content-Type": "application/json" },
+        validate: requireEventData,
+        signal: cancel.signal,
+      });
+      return this._formatEvents([responseData.data])[0];
+    } catch (error) {
+      return this._handleError(error, {});
+    } finally {
+      cancel.dispose();
+    }
+  }
+
+  /**
+   * Resolves category names to their IDs.
+   * @param {Array<string>} names - Category names
+   * @param {boolean} [onPrem=null] - Overrides the client onPrem flag
+   * @param {AbortSignal} [signal=null] - Cancels the request
+   * @returns {Promise<Array<string>>} The category IDs
+   * @throws {Error} If a name does not match any category
+   */
+  async _resolveEventTags(names, onPrem = null, signal = null) {
+    const categories = await this._fetchEventCategories(onPrem, "publishEvent", signal);
+    const idsByName = new Map(categories.map((category) => [category.name, category._id]));
+    const missing = names.filter((name) => !idsByName.has(name));
+    if (missing.length > 0) {
+      throw new Error(`Unknown event categories: ${missing.join(", ")}`);
+    }
+    return names.map((name) => idsByName.get(name));
+  }
+
+  /**
+   * Fetches the events published within a time range.
+   *
+   * @param {Object} options - Parameters
+   * @param {(string|number|Date)} options.startTime - Start of the range
+   * @param {(string|number|Date)} [options.endTime=null] - End of the range. Defaults to now
+   * @param {boolean} [options.unix=false] - Whether to return `createdOn` as Unix milliseconds
+   * @param {string} [options.tz=null] - Timezone of naive input times and returned timestamps. Defaults to the client timezone
+   * @param {boolean} [options.onPrem=null] - Overrides the client onPrem flag for this request
+   * @param {AbortSignal} [options.signal=null] - Cancels the request
+   * @param {number} [options.timeoutMs=null] - Deadline in milliseconds, defaults to the client timeoutMs
+   * @returns {Promise<Array<Object>>} The events, or an empty array on error
+   *
+   * @example
+   * const events = await eventsHandler.getEventsInTimeslot({ startTime: "now-24h" });
+   */
+  async getEventsInTimeslot({
+    startTime,
+    endTime = null,
+    unix = false,
+    tz = null,
+    onPrem = null,
+    signal = null,
+    timeoutMs = null,
+  } = {}) {
+    const cancel = this._cancellation({ signal, timeoutMs });
+    try {
+      const url = this.transport.buildUrl(GET_EVENTS_IN_TIMESLOT_URL, { onPrem });
+      const startTimeUnix = toUnix(startTime, tz || this.tz);
+      const endTimeUnix = toUnix(endTime, tz || this.tz);
+      if (endTimeUnix < startTimeUnix) {
+        throw new InvalidTimeRangeError(startTime, endTime);
+      }
+
+      const responseData = await this.transport.request({
+        name: "getEventsInTimeslot",
+        method: "put",
+        url,
+        data: { startTime: new Date(startTimeUnix).toISOString(), endTime: new Date(endTimeUnix).toISOString() },
+        headers: { "Content-Type": "application/json" },
+        validate: requireEventData,
+        signal: cancel.signal,
+      });
+      return this._formatEvents(responseData.data, { unix, tz });
+    } catch (error) {
+      return this._handleError(error, []);
+    } finally {
+      cancel.dispose();
+    }
+  }
+
+  /**
+   * Fetches the latest events published before a time.
+   *
+   * @param {Object} options - Parameters
+   * @param {(string|number|Date)} [options.endTime=null] - Only events before this time are returned. Defaults to now
+   * @param {number} [options.count=10] - Number of events to return
+   * @param {boolean} [options.unix=false] - Whether to return `createdOn` as Unix milliseconds
+   * @param {string} [options.tz=null] - Timezone of naive input times and returned timestamps. Defaults to the client timezone
+   * @param {boolean} [options.onPrem=null] - Overrides the client onPrem flag for this request
+   * @param {AbortSignal} [options.signal=null] - Cancels the request
+   * @param {number} [options.timeoutMs=null] - Deadline in milliseconds, defaults to the client timeoutMs
+   * @returns {Promise<Array<Object>>} The events, or an empty array on error
+   *
+   * @example
+   * const lastEvents = await eventsHandler.getEventDataCount({ count: 5 });
+   */
+  async getEventDataCount({
+    endTime = null,
+    count = 10,
+    unix = false,
+    tz = null,
+    onPrem = null,
+    signal = null,
+    timeoutMs = null,
+  } = {}) {
+    const cancel = this._cancellation({ signal, timeoutMs });
+    try {
+      const url = this.transport.buildUrl(GET_EVENT_DATA_COUNT_URL, { onPrem });
+      const responseData = await this.transport.request({
+        name: "getEventDataCount",
+        method: "put",
+        url,
+        data: { endTime: this._isoTime(endTime, tz), count },
+        headers: { "Content-Type": "application/json" },
+        validate: requireEventData,
+        signal: cancel.signal,
+      });
+      return this._formatEvents(responseData.data, { unix, tz });
+    } catch (error) {
+      return this._handleError(error, []);
+    } finally {
+      cancel.dispose();
+    }
+  }
+
+  /**
+   * Fetches the event categories (event tags) of the account.
+   *
+   * @param {Object} [options] - Parameters
+   * @param {boolean} [options.onPrem=null] - Overrides the client onPrem flag for this request
+   * @param {AbortSignal} [options.signal=null] - Cancels the request
+   * @param {number} [options.timeoutMs=null] - Deadline in milliseconds, defaults to the client timeoutMs
+   * @returns {Promise<Array<Object>>} The categories `{_id, name, ...}`, or an empty array on error
+   *
+   * @example
+   * const categories = await eventsHandler.getEventCategories();
+   * console.log(categories) -> [{"_id":"5f3e...","name":"Alarms"}, ...]
+   */
+  async getEventCategories({ onPrem = null, signal = null, timeoutMs = null } = {}) {
+    const cancel = this._cancellation({ signal, timeoutMs });
+    try {
+      return await this._fetchEventCategories(onPrem, "getEventCategories", cancel.signal);
+    } catch (error) {
+      return this._handleError(error, []);
+    } finally {
+      cancel.dispose();
+    }
+  }
+
+  /**
+   * Fetches the event categories, throwing on failure.
+   * @param {boolean} [onPrem=null] - Overrides the client onPrem flag
+   * @param {string} [name="getEventCategories"] - The public method fetching them, reported to the hooks
+   * @param {AbortSignal} [signal=null] - Cancels the request
+   * @returns {Promise<Array<Object>>} The categories
+   */
+  async _fetchEventCategories(onPrem = null, name = "getEventCategories", signal = null) {
+    const url = this.transport.buildUrl(GET_EVENT_CATEGORIES_URL, { onPrem });
+    const responseData = await this.transport.request({ name, url, validate: requireEventData, signal });
+    return responseData.data;
+  }
+
+  /**
+   * Fetches the detailed event log of some categories within a time range, following every page.
+   *
+   * @param {Object} options - Parameters
+   * @param {Array<string>} [options.eventTagsList=null] - IDs of the event categories. Defaults to every category
+   * @param {(string|number|Date)} [options.startTime=null] - Start of the range. Defaults to now
+   * @param {(string|number|Date)} [options.endTime=null] - End of the range. Defaults to now
+   * @param {boolean} [options.unix=false] - Whether to return `createdOn` as Unix milliseconds
+   * @param {string} [options.tz=null] - Timezone of naive input times and returned timestamps. Defaults to the client timezone
+   * @param {boolean} [options.onPrem=null] - Overrides the client onPrem flag for this request
+   * @param {AbortSignal} [options.signal=null] - Cancels the requests, including the remaining pages
+   * @param {number} [options.timeoutMs=null] - Deadline in milliseconds, defaults to the client timeoutMs
+   * @returns {Promise<Array<Object>>} The events, or an empty array on error
+   *
+   * @example
+   * const log = await eventsHandler.getDetailedEvent({
+   *   eventTagsList: ["5f3e..."],
+   *   startTime: "2025-02-01",
+   *   endTime: "2025-02-02"
+   * });
+   */
+  async getDetailedEvent({
+    eventTagsList = null,
+    startTime = null,
+    endTime = null,
+    unix = false,
+    tz = null,
+    onPrem = null,
+    signal = null,
+    timeoutMs = null,
+  } = {}) {
+    const cancel = this._cancellation({ signal, timeoutMs });
+    try {
+      const url = this.transport.buildUrl(GET_DETAILED_EVENT_URL, { onPrem });
+      const startTimeUnix = toUnix(startTime, tz || this.tz);
+      const endTimeUnix = toUnix(endTime, tz || this.tz);
+      if (endTimeUnix < startTimeUnix) {
+        throw new InvalidTimeRangeError(startTime, endTime);
+      }
+
+      let eventTags = eventTagsList;
+      if (!eventTags) {
+        const categories = await this._fetchEventCategories(onPrem, "getDetailedEvent", cancel.signal);
+        eventTags = categories.map((category) => category._id);
+      }
+
+      const events = [];
+      for (let page = 1; ; page++) {
+        const responseData = await this.transport.request({
+          name: "getDetailedEvent",
+          method: "put",
+          url,
+          data: {
+            startTime: new Date(startTimeUnix).toISOString(),
+            endTime: new Date(endTimeUnix).toISOString(),
+            eventTags,
+            count: EVENTS_PAGE_SIZE,
+            page,
+          },
+          headers: { "Content-Type": "application/json" },
+          validate: requireEventData,
+          page: (responseData) => ({ page, rows: responseData.data?.data?.length ?? 0 }),
+          signal: cancel.signal,
+        });
+
+        const pageEvents = responseData.data?.data || [];
+        events.push(...pageEvents);
+        const totalCount = responseData.data?.totalCount;
+        if (pageEvents.length < EVENTS_PAGE_SIZE || (totalCount !== undefined && events.length >= totalCount)) break;
+      }
+      return this._formatEvents(events, { unix, tz });
+    } catch (error) {
+      return this._handleError(error, []);
+    } finally {
+      cancel.dispose();
+    }
+  }
+}
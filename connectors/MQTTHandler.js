@@ -0,0 +1,187 @@
+import mqtt from "mqtt";
+import { MAX_CHUNK_SIZE, MQTT_TOPIC, SLEEP_TIME } from "../utils/constants.js";
+import Logger from "../utils/store.js";
+
+export default class MQTTHandler {
+  /**
+   * Class constructor for MQTTHandler.
+   * @param {Object} options - Configuration options for MQTTHandler.
+   * @param {string} options.broker - The hostname of the MQTT broker.
+   * @param {number} [options.port=1883] - The port of the MQTT broker.
+   * @param {string} [options.username=null] - Username for the broker.
+   * @param {string} [options.password=null] - Password for the broker.
+   * @param {string} [options.protocol="mqtt"] - Connection protocol ("mqtt", "mqtts", "ws" or "wss").
+   * @param {string} [options.clientId=null] - Client ID to connect with. A random ID is generated if not provided.
+   * @param {boolean} [options.logTime=false] - Whether to log time taken for publishing.
+   * @param {Object} [options.logger=null] - Logger instance to use for logging.
+   */
+  constructor({
+    broker,
+    port = 1883,
+    username = null,
+    password = null,
+    protocol = "mqtt",
+    clientId = null,
+    logTime = false,
+    logger = null,
+  }) {
+    this.broker = broker;
+    this.port = port;
+    this.username = username;
+    this.password = password;
+    this.protocol = protocol;
+    this.clientId = clientId || `io_connect_${Math.random().toString(16).slice(2, 10)}`;
+    this.logTime = logTime;
+    this.logger = new Logger(logger, "", logTime);
+    this.client = null;
+    this.connecting = null;
+  }
+
+  /**
+   * Connects to the broker. Called automatically by publishData when not connected. Calls made while a
+   * connection is being opened wait for that connection instead of opening another one.
+   * @returns {Promise<void>}
+   * @example
+   * const mqttHandler = new MQTTHandler({ broker: "broker.iosense.io", username: "user", password: "password" });
+   * await mqttHandler.connect();
+   *
+   * @throws {Error} If the broker refuses or cannot be reached.
+   */
+  connect() {
+    if (this.client?.connected) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const client = mqtt.connect({
+        host: this.broker,
+        port: this.port,
+        protocol: this.protocol,
+        clientId: this.clientId,
+        username: this.username ?? undefined,
+        password: this.password ?? undefined,
+        reconnectPeriod: 0,
+      });
+
+      const onError = (error) => {
+        client.end(true);
+        this.logger.error(`[MQTT] Connection to ${this.broker}:${this.port} failed: ${error.message}`);
+        reject(error);
+      };
+
+      client.once("error", onError);
+      client.once("connect", () => {
+        client.removeListener("error", onError);
+        client.on("error", (error) => this.logger.error(`[MQTT] ${error.message}`));
+        this.client = client;
+        this.logger.info(`[MQTT] Connected to ${this.broker}:${this.port}`);
+        resolve();
+      });
+    }).finally(() => {
+      this.connecting = null;
+    });
+    return this.connecting;
+  }
+
+  /**
+   * Disconnects from the broker once the pending messages are sent, waiting for a pending connect first.
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    await this.connecting?.catch(() => {});
+    if (!this.client) return;
+
+    const client = this.client;
+    this.client = null;
+    return new Promise((resolve) => client.end(false, {}, () => resolve()));
+  }
+
+  /**
+   * Converts rows of sensor values into IoSense device payloads.
+   *
+   * @param {string} deviceId - The ID of the device the data belongs to
+   * @param {Array<Object>|Object} data - Rows with a `time` (or `timestamp`) field and one field per sensor
+   * @returns {Array<Object>} Payloads in the `{device, time, data: [{tag, value}]}` format
+   * @example
+   * mqttHandler.formatPayloads("PTH_1009", [{ time: 1747294380000, PT1: 25.5, PT2: 30 }])
+   * -> [{"device":"PTH_1009","time":1747294380000,"data":[{"tag":"PT1","value":"25.5"},{"tag":"PT2","value":"30"}]}]
+   */
+  formatPayloads(deviceId, data) {
+    const rows = Array.isArray(data) ? data : [data];
+    return rows.map(({ time, timestamp, ...sensors }) => {
+      const rowTime = time ?? timestamp;
+      return {
+        device: deviceId,
+        time: rowTime === undefined || rowTime === null ? Date.now() : new Date(rowTime).getTime(),
+        data: Object.entries(sensors)
+          .filter(([, value]) => value !== undefined && value !== null)
+          .map(([tag, value]) => ({ tag, value: String(value) })),
+      };
+    });
+  }
+
+  /**
+   * Publishes sensor data for a device to its `devicesIn/<devID>/data` topic.
+   * Large payloads are split into chunks of `chunkSize` rows with a pause of `sleepTime` seconds between chunks.
+   *
+   * @param {Object} options - Publish options
+   * @param {string} options.deviceId - The ID of the device the data belongs to
+   * @param {Array<Object>|Object} options.data - Rows with a `time` (or `timestamp`) field and one field per sensor
+   * @param {string} [options.topic=null] - Topic to publish to. Defaults to the device topic, as found in the device metadata `topic` field
+   * @param {number} [options.chunkSize=MAX_CHUNK_SIZE] - Number of rows per published message
+   * @param {number} [options.sleepTime=SLEEP_TIME] - Pause between chunks in seconds
+   * @param {number} [options.qos=1] - MQTT quality of service level
+   * @returns {Promise<number>} Number of published messages
+   * @example
+   * const mqttHandler = new MQTTHandler({ broker: "broker.iosense.io", username: "user", password: "password" });
+   * await mqttHandler.publishData({ deviceId: "PTH_1009", data: [{ time: 1747294380000, PT1: 25.5 }, { time: 1747294440000, PT1: 25.7 }] });
+   * await mqttHandler.disconnect();
+   *
+   * @throws {Error} If the broker cannot be reached or rejects a message, or disconnect() is called before all chunks are sent.
+   */
+  async publishData({
+    deviceId,
+    data,
+    topic = null,
+    chunkSize = MAX_CHUNK_SIZE,
+    sleepTime = SLEEP_TIME,
+    qos = 1,
+  }) {
+    if (!deviceId) {
+      throw new Error("The 'deviceId' must be provided.");
+    }
+    if (chunkSize < 1) {
+      throw new Error("Parameter 'chunkSize' must be ≥ 1");
+    }
+
+    await this.connect();
+    // disconnect() may clear this.client while chunks are still being sent, so the connection is kept locally
+    const client = this.client;
+
+    topic = topic || MQTT_TOPIC.replace("{device_id}", deviceId);
+    const payloads = this.formatPayloads(deviceId, data);
+
+    let published = 0;
+    for (let i = 0; i < payloads.length; i += chunkSize) {
+      if (i > 0 && sleepTime > 0) {
+        await new Promise((resolve) => setTimeout(resolve, sleepTime * 1000));
+      }
+      if (!client || this.client !== client) {
+        throw new Error(`Disconnected while publishing ${deviceId}, ${published} message(s) were sent.`);
+      }
+
+      const chunk = payloads.slice(i, i + chunkSize);
+      this.logger.message = `[MQTT] ${topic} publish time:`;
+      this.logger.startTimer();
+      await new Promise((resolve, reject) =>
+        client.publish(topic, JSON.stringify(chunk), { qos }, (error) =>
+          error ? reject(error) : resolve()
+        )
+      );
+      this.logger.endTimer();
+      published += 1;
+    }
+
+    this.logger.info(`[MQTT] Published ${payloads.length} rows for ${deviceId} in ${published} message(s).`);
+    return published;
+  }
+}
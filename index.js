@@ -1,10 +1,14 @@
 /**
  * IO Connect SDK - Main Entry Point
  * 
- * This file exports the DataAccess class for interacting with the IoSense platform.
+ * This file exports the DataAccess class for interacting with the IoSense platform,
+ * the EventsHandler class for its events service and the MQTTHandler class for
+ * publishing device data to it.
  */
 
 import DataAccess from "./connectors/DataAccess.js";
+import EventsHandler from "./connectors/EventsHandler.js";
+import MQTTHandler from "./connectors/MQTTHandler.js";
 
 // Export the DataAccess class as the default export
 export default DataAccess;
@@ -12,6 +16,31 @@ export default DataAccess;
 // Also export as a named export for compatibility
 export { DataAccess };
 
+// Publishes and queries platform events, configured like DataAccess
+export { EventsHandler };
+
+// Publishes device data to the IoSense MQTT broker
+export { MQTTHandler };
+
+// Client-side rate limiter, usable as the `limiter` option and shareable between clients
+export { default as RateLimiter } from "./utils/limiter.js";
+
+// Daily rotated file logger, usable as the `logger` option
+export { createFileLogger, closeFileLogger } from "./utils/fileLogger.js";
+
+// Error classes thrown when DataAccess is created with `throwOnError: true`
+export {
+  IoSenseError,
+  IoSenseHttpError,
+  InvalidResponseError,
+  MaxRetriesError,
+  DeviceNotFoundError,
+  NoSensorsError,
+  InvalidTimeRangeError,
+  RecordingNotFoundError,
+  RequestAbortedError,
+} from "./utils/errors.js";
+
 /**
  * Quick start guide:
  * 
@@ -53,6 +82,8 @@ if (process.argv[1] === import.meta.url) {
   console.log('  dataUrl: "datads.iosense.io",');
   console.log('  dsUrl: "ds-server.iosense.io"');
   console.log('});');
+  console.log('');
+  console.log('For command-line use, run: io-connect --help');
 }
 
 // The commented-out example code from the original file is preserved below as reference:
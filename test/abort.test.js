@@ -0,0 +1,86 @@
+import assert from "node:assert/strict";
+import os from "node:os";
+import { after, afterEach, before, beforeEach, describe, it } from "node:test";
+import DataAccess, { RequestAbortedError } from "../index.js";
+import { SERIES_START, startMockServer } from "../testing/index.js";
+
+const logger = { info() {}, error() {} };
+// Three pages of 30, 30 and 1 rows
+const query = { deviceId: "APRPLC_A3", sensorList: ["D19"], startTime: SERIES_START, endTime: SERIES_START + 3600000, unix: true };
+
+describe("cancellation between cursor pages", () => {
+  let server;
+  let controller;
+  let dataAccess;
+
+  before(async () => {
+    server = await startMockServer({ pageSize: 30 });
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.requests = [];
+    server.latency = 0;
+    controller = new AbortController();
+    // Aborts once the first page of the query arrived, before the second is requested
+    const hooks = { onPageFetched: ({ page }) => page === 1 && controller.abort() };
+    dataAccess = new DataAccess({ ...server.clientOptions(), logger, hooks });
+  });
+
+  afterEach(() => {
+    dataAccess.close();
+  });
+
+  const pageRequests = () => server.requests.filter(({ endpoint }) => endpoint === "getAllData").length;
+
+  it("stops dataQuery after the page in flight", async () => {
+    await assert.rejects(dataAccess.dataQuery({ ...query, signal: controller.signal }), (error) => {
+      assert.ok(error instanceof RequestAbortedError);
+      assert.equal(error.timedOut, false);
+      return true;
+    });
+    assert.equal(pageRequests(), 1);
+  });
+
+  it("stops dataQueryIterator between the pages it yields", async () => {
+    const pages = [];
+    await assert.rejects(async () => {
+      for await (const page of dataAccess.dataQueryIterator({ ...query, signal: controller.signal })) pages.push(page);
+    }, RequestAbortedError);
+    assert.equal(pages.length, 1);
+    assert.equal(pageRequests(), 1);
+  });
+
+  it("stops exportToFile without throwOnError", async () => {
+    await assert.rejects(
+      dataAccess.exportToFile({ ...query, path: os.devNull, signal: controller.signal }),
+      RequestAbortedError
+    );
+    assert.equal(pageRequests(), 1);
+  });
+
+  it("applies timeoutMs to the whole query rather than to each page", async () => {
+    server.latency = 80;
+    await assert.rejects(dataAccess.dataQuery({ ...query, timeoutMs: 200 }), (error) => {
+      assert.ok(error instanceof RequestAbortedError);
+      assert.equal(error.timedOut, true);
+      assert.equal(error.timeoutMs, 200);
+      return true;
+    });
+    assert.ok(pageRequests() < 3);
+  });
+
+  it("cancels a pending retry without waiting for its delay", async () => {
+    server.injectFault({ endpoint: "getAllData", status: 503, times: 1 });
+    const client = new DataAccess({ ...server.clientOptions(), logger, hooks: { onRetry: () => controller.abort() } });
+
+    const started = Date.now();
+    await assert.rejects(client.dataQuery({ ...query, signal: controller.signal }), RequestAbortedError);
+    assert.ok(Date.now() - started < 1000);
+    assert.equal(pageRequests(), 1);
+    client.close();
+  });
+});
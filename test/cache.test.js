@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import MetadataCache from "../utils/cache.js";
+
+describe("MetadataCache", () => {
+  it("returns a copy on every lookup", async () => {
+    const cache = new MetadataCache();
+    const loaded = await cache.wrap("metadata", "PTH_1009", async () => ({ sensors: [{ sensorId: "PT1" }] }));
+    loaded.sensors.length = 0;
+
+    const [first, second] = await Promise.all([
+      cache.wrap("metadata", "PTH_1009", async () => assert.fail("cached")),
+      cache.get("metadata", "PTH_1009"),
+    ]);
+    assert.equal(first.sensors.length, 1);
+    assert.notEqual(first, second);
+  });
+
+  it("keeps scopes apart and clears a key in every scope", async () => {
+    const cache = new MetadataCache();
+    await cache.set("metadata", "PTH_1009", "cloud", "user@https://datads.iosense.io");
+    await cache.set("metadata", "PTH_1009", "on-prem", "user@http://datads.iosense.io");
+
+    assert.equal(await cache.get("metadata", "PTH_1009", "user@https://datads.iosense.io"), "cloud");
+    assert.equal(await cache.get("metadata", "PTH_1009", "user@http://datads.iosense.io"), "on-prem");
+    assert.equal(await cache.get("metadata", "PTH_1009"), undefined);
+
+    await cache.clear("metadata", "PTH_1009");
+    assert.deepEqual([...cache.store.keys()], []);
+  });
+});
+
+describe("MetadataCache shared lookups", () => {
+  it("only rejects the caller whose signal aborted", async () => {
+    const cache = new MetadataCache();
+    let release;
+    let loadSignal;
+    const loader = (signal) => {
+      loadSignal = signal;
+      return new Promise((resolve) => (release = () => resolve({ devID: "PTH_1009" })));
+    };
+
+    const controller = new AbortController();
+    const first = cache.wrap("metadata", "PTH_1009", loader, { signal: controller.signal });
+    const second = cache.wrap("metadata", "PTH_1009", () => assert.fail("shared"));
+    controller.abort();
+    await assert.rejects(first, { name: "RequestAbortedError" });
+
+    assert.equal(loadSignal.aborted, false);
+    release();
+    assert.deepEqual(await second, { devID: "PTH_1009" });
+  });
+
+  it("cancels the load once every caller aborted", async () => {
+    const cache = new MetadataCache();
+    let loadSignal;
+    const loader = (signal) => {
+      loadSignal = signal;
+      return new Promise(() => {});
+    };
+
+    const controller = new AbortController();
+    const pending = cache.wrap("metadata", "PTH_1009", loader, { signal: controller.signal });
+    controller.abort();
+    await assert.rejects(pending, { name: "RequestAbortedError" });
+    assert.equal(loadSignal.aborted, true);
+    assert.equal(cache.pending.size, 0);
+  });
+});
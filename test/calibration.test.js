@@ -0,0 +1,110 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import DataAccess from "../index.js";
+import { defaultFixtures, SERIES_INTERVAL, SERIES_START, startMockServer } from "../testing/index.js";
+import { fillGaps, getColumns, resample } from "../utils/timeseries.js";
+
+const logger = { info() {}, error() {} };
+
+const metadata = {
+  params: {
+    PT1: [
+      { paramName: "m", paramValue: "2" },
+      { paramName: "c", paramValue: 1 },
+      { paramName: "max", paramValue: 10 },
+    ],
+  },
+};
+
+describe("getCleanedTable", () => {
+  let server;
+  let dataAccess;
+
+  before(async () => {
+    server = await startMockServer();
+    dataAccess = new DataAccess({ ...server.clientOptions(), logger, throwOnError: true });
+  });
+
+  after(async () => {
+    dataAccess.close();
+    await server.stop();
+  });
+
+  it("calibrates synchronously with the metadata passed in", () => {
+    const rows = dataAccess.getCleanedTable({
+      data: [{ time: SERIES_START, sensor: "PT1", value: "3" }],
+      cal: true,
+      metadata,
+      unix: true,
+      pivotTable: false,
+    });
+    assert.deepEqual(rows, [{ time: SERIES_START, sensor: "PT1", value: 7 }]);
+  });
+
+  it("fetches the metadata in fetchCleanedTable", async () => {
+    server.requests = [];
+    const rows = await dataAccess.fetchCleanedTable({
+      data: [{ time: SERIES_START, sensor: "PT1", value: "3" }],
+      cal: true,
+      deviceId: "PTH_1009",
+      unix: true,
+      pivotTable: false,
+    });
+    assert.deepEqual(rows, [{ time: SERIES_START, sensor: "PT1", value: 3 }]);
+    assert.deepEqual(server.requests.map((request) => request.endpoint), ["device"]);
+  });
+});
+
+describe("out of range flags", () => {
+  const dataAccess = new DataAccess({ userId: "user", dataUrl: "localhost", logger, calOutOfRange: "flag" });
+  const data = [
+    { time: SERIES_START, sensor: "PT1", value: "7" },
+    { time: SERIES_START, sensor: "PT2", value: "1" },
+    { time: SERIES_START + 60000, sensor: "PT1", value: "1" },
+  ];
+  const flagged = {
+    params: { ...metadata.params, PT2: [{ paramName: "max", paramValue: 10 }] },
+  };
+
+  after(() => dataAccess.close());
+
+  it("marks long rows and lists the sensors of pivoted rows", () => {
+    const long = dataAccess.getCleanedTable({ data, cal: true, metadata: flagged, unix: true, pivotTable: false });
+    assert.deepEqual(long[0], { time: SERIES_START, sensor: "PT1", value: 15, outOfRange: true });
+
+    const rows = dataAccess.getCleanedTable({ data, cal: true, metadata: flagged, unix: true });
+    assert.deepEqual(rows, [
+      { timestamp: SERIES_START, PT1: 15, PT2: 1, outOfRange: ["PT1"] },
+      { timestamp: SERIES_START + 60000, PT1: 3 },
+    ]);
+  });
+
+  it("keeps the flags out of the sensor columns", () => {
+    const rows = dataAccess.getCleanedTable({ data, cal: true, metadata: flagged, unix: true });
+    assert.deepEqual(getColumns(rows).sensors, ["PT1", "PT2"]);
+    assert.deepEqual(resample(rows, { interval: "2m", agg: "max" }), [{ timestamp: SERIES_START, PT1: 15, PT2: 1 }]);
+    assert.deepEqual(fillGaps(rows, { method: "ffill" })[1], { timestamp: SERIES_START + 60000, PT1: 3, PT2: 1 });
+  });
+
+  it("renames the flags of merged dataQueryMany rows like their columns", async () => {
+    const fixtures = defaultFixtures();
+    fixtures.metadata.APRPLC_A3.params.D19.find((param) => param.paramName === "max").paramValue = 10.05;
+    const server = await startMockServer({ fixtures });
+    const client = new DataAccess({ ...server.clientOptions(), logger, throwOnError: true, calOutOfRange: "flag" });
+    try {
+      const { data: merged } = await client.dataQueryMany({
+        devices: [{ deviceId: "APRPLC_A3", sensorList: ["D19"] }, { deviceId: "PTH_1009", sensorList: ["PT1"] }],
+        startTime: SERIES_START,
+        endTime: SERIES_START + SERIES_INTERVAL,
+        unix: true,
+        merge: true,
+      });
+      assert.deepEqual(merged[0], { timestamp: SERIES_START, "APRPLC_A3.D19": 10, "PTH_1009.PT1": 90 });
+      assert.deepEqual(merged[1].outOfRange, ["APRPLC_A3.D19"]);
+      assert.equal(Object.keys(merged[1]).some((key) => key.endsWith(".outOfRange")), false);
+    } finally {
+      client.close();
+      await server.stop();
+    }
+  });
+});
@@ -0,0 +1,119 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, beforeEach, describe, it } from "node:test";
+import DataAccess, { IoSenseHttpError } from "../index.js";
+import { SERIES_START, startMockServer } from "../testing/index.js";
+import Checkpoint from "../utils/checkpoint.js";
+
+const logger = { info() {}, error() {} };
+// Four pages of 20, 20, 20 and 1 rows
+const query = { deviceId: "APRPLC_A3", sensorList: ["D19"], startTime: SERIES_START, endTime: SERIES_START + 3600000, unix: true };
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "io-connect-checkpoint-"));
+});
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("Checkpoint", () => {
+  it("drops rows appended after the last saved cursor", async () => {
+    const checkpoint = new Checkpoint({ id: "partial", dir });
+    await checkpoint.begin(query);
+    await checkpoint.save([{ time: 1 }, { time: 2 }], { start: 3, end: 10 });
+    // A crash between appending the next page and saving its cursor
+    fs.appendFileSync(checkpoint.rowsFile, '{"time":3}\n{"ti');
+
+    const saved = await new Checkpoint({ id: "partial", dir }).load();
+    assert.deepEqual(saved, { query, cursor: { start: 3, end: 10 }, rows: [{ time: 1 }, { time: 2 }] });
+    assert.equal(fs.readFileSync(checkpoint.rowsFile, "utf8"), '{"time":1}\n{"time":2}\n');
+  });
+
+  it("rejects a rows file shorter than the checkpoint", async () => {
+    const checkpoint = new Checkpoint({ id: "truncated", dir });
+    await checkpoint.begin(query);
+    await checkpoint.save([{ time: 1 }], { start: 2, end: 10 });
+    fs.writeFileSync(checkpoint.rowsFile, "");
+
+    await assert.rejects(new Checkpoint({ id: "truncated", dir }).load(), /Checkpoint truncated is corrupted/);
+  });
+
+  it("rejects ids that are not file names", () => {
+    assert.throws(() => new Checkpoint({ id: "../escape", dir }), /Invalid checkpoint id: \.\.\/escape/);
+  });
+});
+
+describe("dataQuery with a checkpoint", () => {
+  let server;
+  let expected;
+
+  before(async () => {
+    server = await startMockServer({ pageSize: 20 });
+    const dataAccess = new DataAccess({ ...server.clientOptions(), logger });
+    expected = await dataAccess.dataQuery(query);
+    dataAccess.close();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.requests = [];
+  });
+
+  const pageRequests = () => server.requests.filter(({ endpoint }) => endpoint === "getAllData");
+
+  /**
+   * Runs the query until its third page fails, leaving the first two pages in the checkpoint.
+   */
+  async function partialRun(checkpoint) {
+    const hooks = { onPageFetched: ({ page }) => page === 2 && server.injectFault({ endpoint: "getAllData", status: 400 }) };
+    const dataAccess = new DataAccess({ ...server.clientOptions(), logger, hooks, throwOnError: true });
+    await assert.rejects(dataAccess.dataQuery({ ...query, checkpoint }), IoSenseHttpError);
+    dataAccess.close();
+  }
+
+  it("resumes after the last saved page", async (t) => {
+    const checkpoint = { id: "resume", dir };
+    await partialRun(checkpoint);
+    assert.equal(pageRequests().length, 3);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(dir, "resume.json"), "utf8")).rows, 40);
+
+    server.requests = [];
+    const dataAccess = new DataAccess({ ...server.clientOptions(), logger, throwOnError: true });
+    t.after(() => dataAccess.close());
+    assert.deepEqual(await dataAccess.dataQuery({ ...query, checkpoint }), expected);
+
+    // Only the third and the last page were fetched again, from the saved cursor
+    assert.equal(pageRequests().length, 2);
+    assert.equal(pageRequests()[0].params.sTime, String(SERIES_START + 40 * 60000));
+    assert.ok(!fs.existsSync(path.join(dir, "resume.json")));
+    assert.ok(!fs.existsSync(path.join(dir, "resume.rows.ndjson")));
+  });
+
+  it("keeps the time range of the first run", async (t) => {
+    const checkpoint = { id: "range", dir };
+    await partialRun(checkpoint);
+
+    const dataAccess = new DataAccess({ ...server.clientOptions(), logger, throwOnError: true });
+    t.after(() => dataAccess.close());
+    const rows = await dataAccess.dataQuery({ ...query, startTime: SERIES_START + 1800000, checkpoint });
+    assert.deepEqual(rows, expected);
+  });
+
+  it("refuses a checkpoint of another query", async (t) => {
+    const checkpoint = { id: "other", dir };
+    await partialRun(checkpoint);
+
+    const dataAccess = new DataAccess({ ...server.clientOptions(), logger, throwOnError: true });
+    t.after(() => dataAccess.close());
+    await assert.rejects(
+      dataAccess.dataQuery({ ...query, sensorList: ["D20"], checkpoint }),
+      /Checkpoint other belongs to another query \(APRPLC_A3: D19\)/
+    );
+  });
+});
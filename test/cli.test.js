@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import { fileURLToPath } from "node:url";
+import { promisify } from "node:util";
+import { SERIES_START, defaultFixtures, startMockServer } from "../testing/index.js";
+
+const BIN = fileURLToPath(new URL("../bin/io-connect.js", import.meta.url));
+
+/**
+ * Runs the bin from `home`, an empty directory, so no io-connect.json of the host is picked up.
+ * @returns {Promise<Object>} `{stdout, stderr}`, with `failed` and the exit `code` if the process failed
+ */
+const runCli = (args, env, home) =>
+  promisify(execFile)(process.execPath, [BIN, ...args], {
+    cwd: home,
+    env: { PATH: process.env.PATH, HOME: home, ...env },
+    maxBuffer: 64 * 1024 * 1024,
+  }).catch((error) => ({ ...error, failed: true }));
+
+const credentials = (server) => {
+  const { userId, dataUrl } = server.clientOptions();
+  return { IOSENSE_USER_ID: userId, IOSENSE_DATA_URL: dataUrl, IOSENSE_ON_PREM: "true" };
+};
+
+describe("io-connect CLI against the mock server", () => {
+  let server;
+  let home;
+  const run = (args, env = credentials(server)) => runCli(args, env, home);
+
+  before(async () => {
+    server = await startMockServer();
+    home = fs.mkdtempSync(path.join(os.tmpdir(), "io-connect-cli-"));
+  });
+
+  after(async () => {
+    await server.stop();
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  it("prints JSON results", async () => {
+    const { stdout } = await run(["user", "--format", "json"]);
+    assert.deepEqual(JSON.parse(stdout), defaultFixtures().user);
+  });
+
+  it("prints an aligned table", async () => {
+    const { stdout } = await run(["devices"]);
+    const [header, rule, ...lines] = stdout.trimEnd().split("\n");
+    assert.match(header, /^devID\s+devName\s+devTypeID$/);
+    assert.match(rule, /^-+ {2}-+ {2}-+$/);
+    assert.deepEqual(
+      lines.map((line) => line.split(/\s+/)[0]),
+      defaultFixtures().devices.map(({ devID }) => devID)
+    );
+  });
+
+  it("queries sensor data as CSV", async () => {
+    const { stdout } = await run([
+      "query",
+      "--device", "APRPLC_A3",
+      "--sensors", "D19",
+      "--start", String(SERIES_START),
+      "--end", String(SERIES_START + 9 * 60000),
+      "--unix",
+      "--format", "csv",
+    ]);
+    const [header, ...lines] = stdout.trimEnd().split("\n");
+    assert.equal(header, "timestamp,D19");
+    assert.equal(lines.length, 10);
+    assert.equal(lines[0], `${SERIES_START},10`);
+  });
+
+  it("reads credentials from a config file", async () => {
+    const config = path.join(home, "config.json");
+    const { userId, dataUrl } = server.clientOptions();
+    fs.writeFileSync(config, JSON.stringify({ userId, dataUrl, onPrem: true }));
+
+    const { stdout } = await run(["user", "--format", "json", "--config", config], {});
+    assert.equal(JSON.parse(stdout)._id, userId);
+  });
+
+  it("exits with an error when credentials are missing", async () => {
+    const result = await run(["user"], {});
+    assert.equal(result.failed, true);
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /^Error: Missing credentials/);
+  });
+
+  it("exits with the request error", async () => {
+    server.injectFault({ endpoint: "device", status: 404, times: 1 });
+    const result = await run(["metadata", "APRPLC_A3"]);
+    assert.equal(result.code, 1);
+    assert.match(result.stderr, /^Error: .*404/);
+  });
+});
+
+describe("io-connect CLI with a large result", () => {
+  let server;
+  let home;
+
+  before(async () => {
+    const devices = Array.from({ length: 200000 }, (_, i) => ({ devID: `DEV_${i}`, devName: `Device ${i}`, devTypeID: "T" }));
+    server = await startMockServer({ fixtures: { devices } });
+    home = fs.mkdtempSync(path.join(os.tmpdir(), "io-connect-cli-"));
+  });
+
+  after(async () => {
+    await server.stop();
+    fs.rmSync(home, { recursive: true, force: true });
+  });
+
+  it("formats a table of 200k rows", async () => {
+    const { stdout, stderr } = await runCli(["devices"], credentials(server), home);
+    assert.equal(stderr, "");
+    const lines = stdout.trimEnd().split("\n");
+    assert.equal(lines.length, 200002);
+    assert.equal(lines.at(-1), "DEV_199999  Device 199999  T");
+  });
+});
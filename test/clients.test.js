@@ -0,0 +1,58 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import DataAccess, { EventsHandler, IoSenseHttpError, RequestAbortedError } from "../index.js";
+import { startMockServer } from "../testing/index.js";
+
+const logger = { info() {}, error() {} };
+
+// DataAccess and EventsHandler share their options, error handling and cancellation through BaseClient
+for (const [name, Client, call, fallback] of [
+  ["DataAccess", DataAccess, (client, options) => client.getDeviceDetails(null, options), []],
+  ["EventsHandler", EventsHandler, (client, options) => client.getEventCategories(options), []],
+]) {
+  describe(`${name} client options`, () => {
+    let server;
+
+    before(async () => {
+      server = await startMockServer();
+    });
+
+    after(async () => {
+      await server.stop();
+    });
+
+    it("rejects an invalid timezone", () => {
+      assert.throws(() => new Client({ ...server.clientOptions(), tz: "Mars/Olympus" }), /Invalid timezone: Mars\/Olympus/);
+    });
+
+    it("returns the empty result on errors unless throwOnError is set", async (t) => {
+      const quiet = new Client({ ...server.clientOptions(), logger });
+      const strict = new Client({ ...server.clientOptions(), logger, throwOnError: true });
+      t.after(() => {
+        quiet.close();
+        strict.close();
+      });
+
+      server.injectFault({ status: 400, times: 2 });
+      assert.deepEqual(await call(quiet), fallback);
+      await assert.rejects(call(strict), IoSenseHttpError);
+    });
+
+    it("rethrows aborts even without throwOnError", async (t) => {
+      const client = new Client({ ...server.clientOptions(), logger });
+      t.after(() => client.close());
+
+      server.injectFault({ type: "timeout", times: 1 });
+      await assert.rejects(call(client, { timeoutMs: 50 }), RequestAbortedError);
+    });
+
+    it("cancels every call once the client signal aborts", async (t) => {
+      const controller = new AbortController();
+      const client = new Client({ ...server.clientOptions(), logger, signal: controller.signal });
+      t.after(() => client.close());
+
+      controller.abort();
+      await assert.rejects(call(client), RequestAbortedError);
+    });
+  });
+}
@@ -0,0 +1,38 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import DataAccess from "../index.js";
+import { IoSenseHttpError } from "../utils/errors.js";
+import { SERIES_INTERVAL, SERIES_START, startMockServer } from "../testing/index.js";
+
+const logger = { info() {}, error() {} };
+
+describe("dataQueryMany", () => {
+  let server;
+  let dataAccess;
+
+  before(async () => {
+    server = await startMockServer();
+    dataAccess = new DataAccess({ ...server.clientOptions(), logger, cache: false });
+  });
+
+  after(async () => {
+    dataAccess.close();
+    await server.stop();
+  });
+
+  it("reports a failed device list lookup for every device", async () => {
+    server.injectFault({ endpoint: "allDevices", status: 400, body: { success: false } });
+    const { data, errors } = await dataAccess.dataQueryMany({
+      devices: [{ deviceId: "APRPLC_A3" }, { deviceId: "PTH_1009" }],
+      startTime: SERIES_START,
+      endTime: SERIES_START + 10 * SERIES_INTERVAL,
+    });
+
+    assert.deepEqual(data, { APRPLC_A3: [], PTH_1009: [] });
+    assert.deepEqual(Object.keys(errors), ["APRPLC_A3", "PTH_1009"]);
+    for (const error of Object.values(errors)) {
+      assert.ok(error instanceof IoSenseHttpError);
+      assert.equal(error.status, 400);
+    }
+  });
+});
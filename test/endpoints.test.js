@@ -0,0 +1,102 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import DataAccess, { EventsHandler } from "../index.js";
+import { startMockServer } from "../testing/index.js";
+import {
+  GET_DEVICE_METADATA_URL,
+  GET_DP_URL,
+  GET_EVENT_CATEGORIES_URL,
+  GET_USER_INFO_URL,
+  INFLUXDB_URL,
+} from "../utils/constants.js";
+
+const logger = { info() {}, error() {} };
+
+/**
+ * Builds a URL with the transport of a client created from the given options.
+ */
+const urlOf = (options, template = GET_USER_INFO_URL, replacements = {}) => {
+  const dataAccess = new DataAccess({ userId: "user_1", dataUrl: "datads.iosense.io", ...options });
+  try {
+    return dataAccess.transport.buildUrl(template, replacements);
+  } finally {
+    dataAccess.close();
+  }
+};
+
+describe("endpoint URLs", () => {
+  it("follows onPrem unless a protocol is set", () => {
+    assert.equal(urlOf({}), "https://datads.iosense.io/api/metaData/user");
+    assert.equal(urlOf({ onPrem: true }), "http://datads.iosense.io/api/metaData/user");
+    assert.equal(urlOf({ onPrem: true }, GET_USER_INFO_URL, { onPrem: false }), "https://datads.iosense.io/api/metaData/user");
+    assert.equal(urlOf({ onPrem: true, protocol: "https" }), "https://datads.iosense.io/api/metaData/user");
+    assert.equal(urlOf({ protocol: "http:" }, GET_USER_INFO_URL, { onPrem: false }), "http://datads.iosense.io/api/metaData/user");
+  });
+
+  it("joins the port, the data URL path and the path prefix", () => {
+    assert.equal(urlOf({ dataUrl: "10.0.0.5:8080" }), "https://10.0.0.5:8080/api/metaData/user");
+    assert.equal(urlOf({ dataUrl: "10.0.0.5:8080", port: 9443 }), "https://10.0.0.5:9443/api/metaData/user");
+    assert.equal(urlOf({ dataUrl: "[::1]:8080/iosense/" }), "https://[::1]:8080/iosense/api/metaData/user");
+    assert.equal(urlOf({ dataUrl: "host/site", pathPrefix: "/iosense/" }), "https://host/site/iosense/api/metaData/user");
+  });
+
+  it("resolves endpoint paths like the default templates and keeps full templates", () => {
+    const endpoints = {
+      GET_DP_URL: "/api/v2/apiLayer/getLimitedDataMultipleSensors/",
+      INFLUXDB_URL: "https://archive.iosense.io/api/apiLayer/getAllData",
+      GET_DEVICE_METADATA_URL: "api/v2/device/{device_id}",
+    };
+    const options = { endpoints, pathPrefix: "iosense" };
+    assert.equal(urlOf(options, GET_DP_URL), "https://datads.iosense.io/iosense/api/v2/apiLayer/getLimitedDataMultipleSensors/");
+    assert.equal(urlOf(options, INFLUXDB_URL), "https://archive.iosense.io/api/apiLayer/getAllData");
+    assert.equal(
+      urlOf(options, GET_DEVICE_METADATA_URL, { device_id: "PLC 1/A" }),
+      "https://datads.iosense.io/iosense/api/v2/device/PLC%201%2FA"
+    );
+    assert.equal(urlOf(options), "https://datads.iosense.io/iosense/api/metaData/user");
+  });
+
+  it("rejects invalid settings", () => {
+    assert.throws(() => urlOf({ dataUrl: "" }), /Missing dataUrl/);
+    assert.throws(() => urlOf({ dataUrl: "https://datads.iosense.io" }), /Invalid dataUrl: https:\/\/datads\.iosense\.io/);
+    assert.throws(() => urlOf({ protocol: "ftp" }), /Invalid protocol: ftp/);
+    assert.throws(() => urlOf({ port: 70000 }), /Invalid port: 70000/);
+    assert.throws(() => urlOf({ endpoints: { GET_DATA: "/api/data" } }), /Unknown endpoints: GET_DATA/);
+  });
+});
+
+describe("endpoint overrides against the mock server", () => {
+  it("sends an overridden endpoint to another host", async (t) => {
+    const main = await startMockServer();
+    const archive = await startMockServer({ pathPrefix: "/archive" });
+    const dataAccess = new DataAccess({
+      ...main.clientOptions(),
+      logger,
+      throwOnError: true,
+      endpoints: { GET_DEVICE_METADATA_URL: `http://${archive.dataUrl}/archive/api/metaData/device/{device_id}` },
+    });
+    t.after(async () => {
+      dataAccess.close();
+      await main.stop();
+      await archive.stop();
+    });
+
+    await dataAccess.getUserInfo();
+    assert.equal((await dataAccess.getDeviceMetaData("PTH_1009")).devID, "PTH_1009");
+    assert.deepEqual(main.requests.map(({ path }) => path), ["/api/metaData/user"]);
+    assert.deepEqual(archive.requests.map(({ path }) => path), ["/archive/api/metaData/device/PTH_1009"]);
+  });
+
+  it("applies the same overrides to EventsHandler", async (t) => {
+    const server = await startMockServer({ pathPrefix: "/iosense", endpoints: { GET_EVENT_CATEGORIES_URL: "/api/v2/eventTag" } });
+    const events = new EventsHandler({ ...server.clientOptions(), logger, throwOnError: true });
+    t.after(async () => {
+      events.close();
+      await server.stop();
+    });
+
+    assert.equal(events.transport.buildUrl(GET_EVENT_CATEGORIES_URL), `http://${server.dataUrl}/iosense/api/v2/eventTag`);
+    assert.ok((await events.getEventCategories()).length > 0);
+    assert.deepEqual(server.requests.map(({ path }) => path), ["/iosense/api/v2/eventTag"]);
+  });
+});
@@ -0,0 +1,109 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import zlib from "node:zlib";
+import { after, before, describe, it } from "node:test";
+import DataAccess from "../index.js";
+import { SERIES_END, SERIES_START, defaultFixtures, startMockServer } from "../testing/index.js";
+import ExportWriter, { toCsvCell } from "../utils/export.js";
+
+const logger = { info() {}, error() {} };
+
+let dir;
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), "io-connect-export-"));
+});
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe("toCsvCell", () => {
+  it("quotes cells with commas, quotes and line breaks", () => {
+    assert.equal(toCsvCell("plain"), "plain");
+    assert.equal(toCsvCell("a,b"), '"a,b"');
+    assert.equal(toCsvCell('say "hi"'), '"say ""hi"""');
+    assert.equal(toCsvCell("line\nbreak"), '"line\nbreak"');
+    assert.equal(toCsvCell("carriage\rreturn"), '"carriage\rreturn"');
+  });
+
+  it("writes empty cells for missing values and JSON for objects", () => {
+    assert.equal(toCsvCell(null), "");
+    assert.equal(toCsvCell(undefined), "");
+    assert.equal(toCsvCell(0), "0");
+    assert.equal(toCsvCell(["D19", "D20"]), '"[""D19"",""D20""]"');
+  });
+});
+
+describe("ExportWriter", () => {
+  const rows = [
+    { timestamp: 1, D19: "Boiler, north", D20: null },
+    { timestamp: 2, D19: 'He said "trip"', D20: 4 },
+  ];
+
+  it("writes a CSV header with the renamed columns", async () => {
+    const file = path.join(dir, "rows.csv");
+    const writer = new ExportWriter({ path: file, columns: ["timestamp", "D19", "D20"], headers: { D19: "Name, full" } });
+    await writer.write(rows);
+    assert.deepEqual(await writer.close(), { path: file, rows: 2 });
+
+    assert.equal(
+      fs.readFileSync(file, "utf8"),
+      'timestamp,"Name, full",D20\n1,"Boiler, north",\n2,"He said ""trip""",4\n'
+    );
+  });
+
+  it("gzips NDJSON and leaves out undefined fields", async () => {
+    const file = path.join(dir, "rows.ndjson.gz");
+    const writer = new ExportWriter({ path: file, format: "ndjson", columns: ["timestamp", "D20", "D21"], headers: { D20: "flow" }, gzip: true });
+    await writer.write(rows);
+    await writer.close();
+
+    assert.equal(zlib.gunzipSync(fs.readFileSync(file)).toString(), '{"timestamp":1,"flow":null}\n{"timestamp":2,"flow":4}\n');
+  });
+
+  it("rejects unknown formats", () => {
+    assert.throws(() => new ExportWriter({ path: path.join(dir, "rows.xml"), format: "xml", columns: [] }), /Invalid export format: xml/);
+  });
+});
+
+describe("exportToFile against the mock server", () => {
+  let server;
+  let dataAccess;
+
+  before(async () => {
+    server = await startMockServer({ pageSize: 100 });
+    dataAccess = new DataAccess({ ...server.clientOptions(), logger, throwOnError: true });
+  });
+
+  after(async () => {
+    dataAccess.close();
+    await server.stop();
+  });
+
+  it("streams every page to a gzipped CSV named after .gz", async () => {
+    const query = { deviceId: "APRPLC_A3", sensorList: ["D19", "D20"], startTime: SERIES_START, endTime: SERIES_END, unix: true };
+    const file = path.join(dir, "A3.csv.gz");
+
+    const result = await dataAccess.exportToFile({ ...query, path: file, alias: true });
+    const expected = await dataAccess.dataQuery(query);
+    const [header, ...lines] = zlib.gunzipSync(fs.readFileSync(file)).toString().trimEnd().split("\n");
+
+    const { sensors } = defaultFixtures().metadata.APRPLC_A3;
+    const names = Object.fromEntries(sensors.map(({ sensorId, sensorName }) => [sensorId, sensorName]));
+    assert.equal(header, ["timestamp", names.D19, names.D20].map(toCsvCell).join(","));
+    assert.deepEqual(result, { path: file, rows: expected.length });
+    assert.deepEqual(
+      lines,
+      expected.map((row) => [row.timestamp, row.D19, row.D20].map(toCsvCell).join(","))
+    );
+  });
+
+  it("exports given rows as plain NDJSON", async () => {
+    const file = path.join(dir, "given.ndjson");
+    const result = await dataAccess.exportToFile({ path: file, format: "ndjson", data: [{ a: 1 }, { b: "x,y" }] });
+
+    assert.equal(result.rows, 2);
+    assert.equal(fs.readFileSync(file, "utf8"), '{"a":1}\n{"b":"x,y"}\n');
+  });
+});
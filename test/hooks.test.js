@@ -0,0 +1,113 @@
+import assert from "node:assert/strict";
+import { after, before, beforeEach, describe, it } from "node:test";
+import DataAccess, { IoSenseHttpError } from "../index.js";
+import { SERIES_START, startMockServer } from "../testing/index.js";
+
+const logger = { info() {}, error() {} };
+const query = { deviceId: "APRPLC_A3", sensorList: ["D19"], startTime: SERIES_START, endTime: SERIES_START + 3600000, unix: true };
+
+describe("request lifecycle hooks", () => {
+  let server;
+  let dataAccess;
+  let events;
+
+  before(async () => {
+    server = await startMockServer({ pageSize: 30 });
+    const hooks = Object.fromEntries(
+      ["onRequest", "onResponse", "onRetry", "onError", "onPageFetched"].map((hook) => [hook, (event) => events.push({ hook, ...event })])
+    );
+    dataAccess = new DataAccess({ ...server.clientOptions(), logger, hooks, cache: false });
+  });
+
+  after(async () => {
+    dataAccess.close();
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    events = [];
+  });
+
+  const dataEvents = () => events.filter(({ url }) => url.endsWith("/getAllData"));
+
+  it("reports every page of a cursor query", async () => {
+    await dataAccess.dataQuery(query);
+
+    assert.deepEqual(
+      dataEvents().map(({ hook, page, rows }) => [hook, page, rows]),
+      [
+        ["onRequest", undefined, undefined],
+        ["onResponse", undefined, undefined],
+        ["onPageFetched", 1, 30],
+        ["onRequest", undefined, undefined],
+        ["onResponse", undefined, undefined],
+        ["onPageFetched", 2, 30],
+        ["onRequest", undefined, undefined],
+        ["onResponse", undefined, undefined],
+        ["onPageFetched", 3, 1],
+      ]
+    );
+
+    const [request, response, page] = dataEvents();
+    assert.deepEqual(request, {
+      hook: "onRequest",
+      method: "dataQuery",
+      httpMethod: "GET",
+      url: request.url,
+      params: { device: "APRPLC_A3", sensor: "D19", sTime: query.startTime, eTime: query.endTime, cursor: true, limit: 1000 },
+      attempt: 1,
+    });
+    assert.equal(response.status, 200);
+    assert.equal(typeof response.duration, "number");
+    assert.deepEqual(page, { ...response, hook: "onPageFetched", page: 1, rows: 30 });
+  });
+
+  it("reports retries with their delay and the attempt number", async () => {
+    server.injectFault({ endpoint: "getAllData", status: 503, times: 1 });
+    await dataAccess.dataQuery(query);
+
+    const [first, retry, second] = dataEvents();
+    assert.deepEqual([first.hook, first.attempt], ["onRequest", 1]);
+    assert.equal(retry.hook, "onRetry");
+    assert.equal(retry.status, 503);
+    assert.equal(retry.delay, 2000);
+    assert.ok(retry.error instanceof IoSenseHttpError);
+    assert.deepEqual([second.hook, second.attempt], ["onRequest", 2]);
+  });
+
+  it("reports the final error", async () => {
+    server.injectFault({ endpoint: "user", status: 400, times: 1 });
+    await dataAccess.getUserInfo();
+
+    assert.deepEqual(
+      events.map(({ hook, method }) => [hook, method]),
+      [
+        ["onRequest", "getUserInfo"],
+        ["onError", "getUserInfo"],
+      ]
+    );
+    assert.equal(events[1].status, 400);
+    assert.ok(events[1].error instanceof IoSenseHttpError);
+  });
+
+  it("keeps failing hooks from breaking requests", async (t) => {
+    const messages = [];
+    const client = new DataAccess({
+      ...server.clientOptions(),
+      logger: { info() {}, error: (message) => messages.push(message) },
+      hooks: {
+        onRequest: () => {
+          throw new Error("sync hook failure");
+        },
+        onResponse: async () => {
+          throw new Error("async hook failure");
+        },
+      },
+    });
+    t.after(() => client.close());
+
+    assert.equal((await client.getUserInfo())._id, server.clientOptions().userId);
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.deepEqual(messages, ["[HOOK] onRequest failed: sync hook failure", "[HOOK] onResponse failed: async hook failure"]);
+  });
+});
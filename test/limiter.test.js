@@ -0,0 +1,122 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import DataAccess, { RateLimiter, RequestAbortedError } from "../index.js";
+import { SERIES_START, startMockServer } from "../testing/index.js";
+
+const logger = { info() {}, error() {} };
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+// Timers may fire a little early relative to Date.now() on some platforms
+const SLACK = 5;
+
+/**
+ * Schedules tasks on a limiter and records when each one started, relative to the first.
+ * @returns {Promise<Array<number>>} Start offsets in milliseconds, in start order
+ */
+async function startTimes(limiter, names, duration = 0) {
+  const starts = [];
+  const origin = Date.now();
+  await Promise.all(
+    names.map((name) =>
+      limiter.schedule(name, async () => {
+        starts.push(Date.now() - origin);
+        await sleep(duration);
+      })
+    )
+  );
+  return starts;
+}
+
+describe("RateLimiter", () => {
+  it("spaces requests 1/rps apart", async () => {
+    const starts = await startTimes(new RateLimiter({ rps: 20 }), Array(5).fill(null));
+    assert.ok(starts[0] < 20);
+    for (let i = 1; i < starts.length; i++) {
+      assert.ok(starts[i] - starts[i - 1] >= 50 - SLACK, `gap ${i}: ${starts[i] - starts[i - 1]} ms`);
+    }
+  });
+
+  it("lets a burst start at once after an idle period", async () => {
+    const starts = await startTimes(new RateLimiter({ rps: 10, burst: 3 }), Array(4).fill(null));
+    assert.ok(starts[2] < 20, `burst started after ${starts[2]} ms`);
+    assert.ok(starts[3] >= 100 - SLACK, `fourth started after ${starts[3]} ms`);
+  });
+
+  it("caps the requests in flight and reports the queue", async () => {
+    const limiter = new RateLimiter({ concurrency: 2 });
+    let active = 0;
+    let peak = 0;
+    const tasks = Array.from({ length: 5 }, () =>
+      limiter.schedule(null, async () => {
+        peak = Math.max(peak, ++active);
+        await sleep(20);
+        active -= 1;
+      })
+    );
+    await sleep(5);
+    assert.deepEqual(limiter.stats(), { active: 2, queued: 3, endpoints: {} });
+
+    await Promise.all(tasks);
+    assert.equal(peak, 2);
+    assert.deepEqual(limiter.stats(), { active: 0, queued: 0, endpoints: {} });
+  });
+
+  it("does not hold back other endpoints behind an endpoint limit", async () => {
+    const limiter = new RateLimiter({ endpoints: { getDp: { rps: 5 } } });
+    const starts = {};
+    const origin = Date.now();
+    await Promise.all(
+      ["getDp", "getDp", "dataQuery"].map((name, index) =>
+        limiter.schedule(name, async () => {
+          starts[`${name}${index}`] = Date.now() - origin;
+        })
+      )
+    );
+    assert.ok(starts.dataQuery2 < 20, `dataQuery started after ${starts.dataQuery2} ms`);
+    assert.ok(starts.getDp1 >= 200 - SLACK, `second getDp started after ${starts.getDp1} ms`);
+  });
+
+  it("drops aborted requests from the queue", async () => {
+    const limiter = new RateLimiter({ concurrency: 1 });
+    const controller = new AbortController();
+    const running = limiter.schedule(null, () => sleep(20));
+    const queued = limiter.schedule(null, async () => assert.fail("aborted task ran"), controller.signal);
+
+    controller.abort();
+    await assert.rejects(queued, RequestAbortedError);
+    assert.equal(limiter.queued, 0);
+    await running;
+  });
+
+  it("rejects invalid limits", () => {
+    assert.throws(() => new RateLimiter({ concurrency: 0 }), /Invalid limiter concurrency: 0/);
+    assert.throws(() => new RateLimiter({ rps: -1 }), /Invalid limiter rps: -1/);
+    assert.throws(() => new RateLimiter({ endpoints: { getDp: { burst: 0 } } }), /Invalid limiter endpoint getDp burst: 0/);
+  });
+});
+
+describe("DataAccess with a limiter", () => {
+  it("spaces every request of a paginated query", async (t) => {
+    const server = await startMockServer({ pageSize: 30 });
+    const starts = [];
+    const dataAccess = new DataAccess({
+      ...server.clientOptions(),
+      logger,
+      limiter: { rps: 10 },
+      // onResponse durations start when the limiter lets the attempt go, so they date the request starts
+      hooks: { onResponse: ({ duration }) => starts.push(Date.now() - duration) },
+    });
+    t.after(async () => {
+      dataAccess.close();
+      await server.stop();
+    });
+
+    const rows = await dataAccess.dataQuery({ deviceId: "APRPLC_A3", sensorList: ["D19"], startTime: SERIES_START, endTime: SERIES_START + 3600000 });
+    assert.equal(rows.length, 61);
+    // The device list, the metadata and three pages
+    assert.equal(starts.length, 5);
+    starts.sort((a, b) => a - b);
+    for (let i = 1; i < starts.length; i++) {
+      assert.ok(starts[i] - starts[i - 1] >= 100 - SLACK, `gap ${i}: ${starts[i] - starts[i - 1]} ms`);
+    }
+  });
+});
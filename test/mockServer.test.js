@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { after, before, describe, it } from "node:test";
+import DataAccess from "../index.js";
+import { SERIES_END, SERIES_INTERVAL, SERIES_START, startMockServer } from "../testing/index.js";
+
+// Keeps the expected retry and fault logs out of the test output
+const logger = { info() {}, error() {} };
+
+const points = (SERIES_END - SERIES_START) / SERIES_INTERVAL + 1;
+
+describe("DataAccess against the mock server", () => {
+  let server;
+  let dataAccess;
+
+  before(async () => {
+    server = await startMockServer({ pageSize: 100 });
+    dataAccess = new DataAccess({ ...server.clientOptions(), logger, throwOnError: true });
+  });
+
+  after(async () => {
+    dataAccess.close();
+    await server.stop();
+  });
+
+  it("follows the cursor across pages", async () => {
+    server.requests = [];
+    const rows = await dataAccess.dataQuery({ deviceId: "APRPLC_A3", startTime: SERIES_START, endTime: SERIES_END, unix: true });
+
+    assert.equal(rows.length, points);
+    assert.equal(rows[0].timestamp, SERIES_START);
+    assert.equal(rows[rows.length - 1].timestamp, SERIES_END);
+    assert.ok(rows.every((row, i) => i === 0 || row.timestamp > rows[i - 1].timestamp));
+    const pages = server.requests.filter((request) => request.endpoint === "getAllData");
+    assert.equal(pages.length, Math.ceil((points * 2) / 100));
+  });
+
+  it("retries a page answered with a 5xx", async () => {
+    const endTime = SERIES_START + 99 * SERIES_INTERVAL;
+    const expected = await dataAccess.dataQuery({ deviceId: "APRPLC_A3", startTime: SERIES_START, endTime, unix: true });
+
+    const retries = [];
+    const retrying = new DataAccess({
+      ...server.clientOptions(),
+      logger,
+      throwOnError: true,
+      hooks: { onRetry: ({ status }) => retries.push(status) },
+    });
+    server.injectFault({ endpoint: "getAllData", status: 503 });
+    try {
+      const rows = await retrying.dataQuery({ deviceId: "APRPLC_A3", startTime: SERIES_START, endTime, unix: true });
+      assert.deepEqual(rows, expected);
+      assert.deepEqual(retries, [503]);
+    } finally {
+      retrying.close();
+    }
+  });
+});
+
+describe("mock server with a path prefix and endpoint overrides", () => {
+  it("serves a client configured the same way", async () => {
+    const server = await startMockServer({
+      pathPrefix: "/iosense",
+      endpoints: { GET_DEVICE_METADATA_URL: "/api/v2/device/{device_id}" },
+    });
+    const dataAccess = new DataAccess({ ...server.clientOptions(), logger, throwOnError: true });
+    try {
+      const metadata = await dataAccess.getDeviceMetaData("PTH_1009");
+      assert.equal(metadata.devID, "PTH_1009");
+      assert.deepEqual(server.requests.map((request) => [request.endpoint, request.path]), [
+        ["device", "/iosense/api/v2/device/PTH_1009"],
+      ]);
+    } finally {
+      dataAccess.close();
+      await server.stop();
+    }
+  });
+});
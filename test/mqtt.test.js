@@ -0,0 +1,111 @@
+import assert from "node:assert/strict";
+import net from "node:net";
+import { after, before, beforeEach, describe, it } from "node:test";
+import Aedes from "aedes";
+import { MQTTHandler } from "../index.js";
+
+const logger = { info() {}, error() {} };
+
+describe("MQTTHandler against an in-process broker", () => {
+  let broker;
+  let server;
+  let port;
+  let messages;
+  let clients;
+
+  before(async () => {
+    broker = Aedes();
+    broker.authenticate = (client, username, password, callback) =>
+      callback(null, username === "user" && String(password) === "password");
+    broker.on("publish", (packet, client) => {
+      if (client) messages.push({ topic: packet.topic, payload: JSON.parse(packet.payload) });
+    });
+    broker.on("client", () => clients++);
+
+    server = net.createServer(broker.handle);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    port = server.address().port;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => broker.close(resolve));
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    messages = [];
+    clients = 0;
+  });
+
+  const handler = (options = {}) =>
+    new MQTTHandler({ broker: "127.0.0.1", port, username: "user", password: "password", logger, ...options });
+
+  it("publishes rows in chunks to the device topic", async () => {
+    const mqttHandler = handler();
+    const data = [1, 2, 3, 4, 5].map((i) => ({ time: 1747294380000 + i * 60000, PT1: i, PT2: null }));
+
+    const published = await mqttHandler.publishData({ deviceId: "PTH_1009", data, chunkSize: 2, sleepTime: 0 });
+    await mqttHandler.disconnect();
+
+    assert.equal(published, 3);
+    assert.deepEqual(
+      messages.map(({ topic }) => topic),
+      Array(3).fill("devicesIn/PTH_1009/data")
+    );
+    assert.deepEqual(
+      messages.map(({ payload }) => payload.length),
+      [2, 2, 1]
+    );
+    assert.deepEqual(messages[0].payload[0], {
+      device: "PTH_1009",
+      time: 1747294440000,
+      data: [{ tag: "PT1", value: "1" }],
+    });
+  });
+
+  it("opens one connection for concurrent calls", async () => {
+    const mqttHandler = handler();
+    await Promise.all([
+      mqttHandler.connect(),
+      mqttHandler.publishData({ deviceId: "PTH_1009", data: { PT1: 1 } }),
+      mqttHandler.publishData({ deviceId: "APRPLC_A3", data: { D19: 2 } }),
+    ]);
+    await mqttHandler.disconnect();
+
+    assert.equal(clients, 1);
+    assert.equal(messages.length, 2);
+  });
+
+  it("rejects a publish interrupted by disconnect instead of crashing", async () => {
+    const mqttHandler = handler();
+    const data = [1, 2, 3].map((i) => ({ time: 1747294380000 + i * 60000, PT1: i }));
+
+    const publishing = mqttHandler.publishData({ deviceId: "PTH_1009", data, chunkSize: 1, sleepTime: 0.05 });
+    await new Promise((resolve) => broker.once("publish", () => setImmediate(resolve)));
+    await mqttHandler.disconnect();
+
+    await assert.rejects(publishing, /Disconnected while publishing PTH_1009, 1 message\(s\) were sent/);
+    assert.equal(messages.length, 1);
+  });
+
+  it("reconnects after a disconnect", async () => {
+    const mqttHandler = handler();
+    await mqttHandler.publishData({ deviceId: "PTH_1009", data: { PT1: 1 } });
+    await mqttHandler.disconnect();
+    await mqttHandler.publishData({ deviceId: "PTH_1009", data: { PT1: 2 } });
+    await mqttHandler.disconnect();
+
+    assert.equal(clients, 2);
+    assert.deepEqual(
+      messages.map(({ payload }) => payload[0].data[0].value),
+      ["1", "2"]
+    );
+  });
+
+  it("rejects when the broker refuses the credentials", async () => {
+    const mqttHandler = handler({ password: "wrong" });
+    await assert.rejects(mqttHandler.publishData({ deviceId: "PTH_1009", data: { PT1: 1 } }), /Not authorized|Bad username or password/i);
+    assert.equal(mqttHandler.client, null);
+    assert.equal(messages.length, 0);
+  });
+});
@@ -0,0 +1,66 @@
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { after, before, describe, it } from "node:test";
+import DataAccess, { IoSenseHttpError, RecordingNotFoundError } from "../index.js";
+import { SERIES_START, USER_ID, startMockServer } from "../testing/index.js";
+
+const logger = { info() {}, error() {} };
+const query = { deviceId: "APRPLC_A3", sensorList: ["D19"], startTime: SERIES_START, endTime: SERIES_START + 3600000, unix: true };
+
+describe("record and replay", () => {
+  let dir;
+  let options;
+  const recorded = {};
+
+  // Records the traffic of a few calls, then stops the server so replays cannot reach the network
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "io-connect-recorder-"));
+    const server = await startMockServer({ pageSize: 20 });
+    options = { ...server.clientOptions(), logger, throwOnError: true };
+
+    const dataAccess = new DataAccess({ ...options, recorder: { mode: "record", dir } });
+    recorded.user = await dataAccess.getUserInfo();
+    recorded.data = await dataAccess.dataQuery(query);
+    server.injectFault({ endpoint: "device", status: 400, times: 1 });
+    recorded.error = await dataAccess.getDeviceMetaData("PTH_1009").catch((error) => error);
+    dataAccess.close();
+    await server.stop();
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("replays the recorded responses without a server", async () => {
+    const dataAccess = new DataAccess({ ...options, recorder: { mode: "replay", dir } });
+    assert.deepEqual(await dataAccess.getUserInfo(), recorded.user);
+    assert.deepEqual(await dataAccess.dataQuery(query), recorded.data);
+    assert.equal(recorded.data.length, 61);
+    dataAccess.close();
+  });
+
+  it("replays recorded errors", async () => {
+    const dataAccess = new DataAccess({ ...options, recorder: { mode: "replay", dir } });
+    assert.ok(recorded.error instanceof IoSenseHttpError);
+    await assert.rejects(dataAccess.getDeviceMetaData("PTH_1009"), (error) => error instanceof IoSenseHttpError && error.status === 400);
+    dataAccess.close();
+  });
+
+  it("keeps the user ID out of the fixtures and restores the replaying user", async () => {
+    for (const file of fs.readdirSync(dir)) {
+      assert.ok(!fs.readFileSync(path.join(dir, file), "utf8").includes(USER_ID), file);
+    }
+
+    const dataAccess = new DataAccess({ ...options, userId: "another_user", recorder: { mode: "replay", dir } });
+    assert.equal((await dataAccess.getUserInfo())._id, "another_user");
+    dataAccess.close();
+  });
+
+  it("fails requests that were not recorded", async () => {
+    const dataAccess = new DataAccess({ ...options, recorder: { mode: "replay", dir } });
+    await assert.rejects(dataAccess.getDeviceMetaData("UNKNOWN"), RecordingNotFoundError);
+    dataAccess.close();
+  });
+});
@@ -0,0 +1,87 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { parseTime, wallTimeToUnix } from "../utils/time.js";
+
+// Naive strings must not depend on the host timezone, so the host runs in another zone than the ones parsed
+process.env.TZ = "America/Los_Angeles";
+
+const IST_8AM = Date.parse("2025-02-01T02:30:00Z");
+
+describe("parseTime", () => {
+  it("reads naive strings in the given timezone", () => {
+    for (const value of ["2025-02-01 08:00", "2025-02-01 8:00", "2025/02/01 08:00", "2025-02-01T08:00:00", "2025/2/1 8:00:00"]) {
+      assert.equal(parseTime(value, "Asia/Kolkata"), IST_8AM, value);
+    }
+  });
+
+  it("truncates fractions below a millisecond", () => {
+    assert.equal(parseTime("2025-02-01T08:00:00.123456", "Asia/Kolkata"), IST_8AM + 123);
+    assert.equal(parseTime("2025-02-01T08:00:00.5", "Asia/Kolkata"), IST_8AM + 500);
+  });
+
+  it("keeps explicit offsets", () => {
+    assert.equal(parseTime("2025-02-01T02:30:00Z", "Asia/Kolkata"), IST_8AM);
+    assert.equal(parseTime("2025-02-01 08:00+05:30", "UTC"), IST_8AM);
+    assert.equal(parseTime("Sat, 01 Feb 2025 02:30:00 GMT", "Asia/Kolkata"), IST_8AM);
+  });
+
+  it("rejects strings without an offset it cannot read as wall time", () => {
+    for (const value of ["Feb 1 2025", "2025-02", "01/02/2025 08:00", "tomorrow at noon"]) {
+      assert.throws(() => parseTime(value, "Asia/Kolkata"), /Invalid date string/, value);
+    }
+  });
+});
+
+describe("wallTimeToUnix", () => {
+  it("rejects out of range fields instead of rolling them over", () => {
+    for (const value of ["2025-02-30 08:00", "2025-02-29", "2025-13-01", "2025-02-01 24:00", "2025-02-01 08:60"]) {
+      assert.throws(() => parseTime(value, "Asia/Kolkata"), /Invalid date: .* is not a valid date and time/, value);
+    }
+    assert.throws(() => wallTimeToUnix({ year: 2025, month: 4, day: 31 }, "UTC"), /2025-04-31T00:00:00.000/);
+  });
+
+  it("accepts the last day of the month", () => {
+    assert.equal(parseTime("2024-02-29", "UTC"), Date.parse("2024-02-29T00:00:00Z"));
+  });
+});
+
+describe("DST changes", () => {
+  it("rejects clock times skipped or repeated by a DST change", () => {
+    assert.throws(() => parseTime("2025-03-09 02:30", "America/New_York"), /Nonexistent time: 2025-03-09 02:30/);
+    assert.throws(() => parseTime("2025-11-02 01:30", "America/New_York"), /Ambiguous time: 2025-11-02 01:30/);
+    assert.equal(parseTime("2025-03-09 03:30", "America/New_York"), Date.parse("2025-03-09T07:30:00Z"));
+  });
+
+  it("starts a day at the DST change where midnight is skipped", () => {
+    assert.equal(parseTime("2024-09-08", "America/Santiago"), Date.parse("2024-09-08T04:00:00Z"));
+    assert.equal(parseTime("2025-03-09", "America/Havana"), Date.parse("2025-03-09T05:00:00Z"));
+    assert.throws(() => parseTime("2024-09-08 00:30", "America/Santiago"), /Nonexistent time/);
+  });
+});
+
+describe("relative times", () => {
+  // 11:00 in Santiago on a Sunday whose midnight was skipped by the DST change
+  const now = Date.parse("2024-09-08T14:00:00Z");
+  const at = (expression) => parseTime(expression, "America/Santiago", now);
+
+  it("resolves day anchors to the first instant of the day", () => {
+    assert.equal(at("today"), Date.parse("2024-09-08T04:00:00Z"));
+    assert.equal(at("start of day"), Date.parse("2024-09-08T04:00:00Z"));
+    assert.equal(at("end of day"), Date.parse("2024-09-09T03:00:00Z") - 1);
+    assert.equal(at("yesterday"), Date.parse("2024-09-07T04:00:00Z"));
+    assert.equal(at("tomorrow"), Date.parse("2024-09-09T03:00:00Z"));
+  });
+
+  it("resolves week, month and year anchors", () => {
+    assert.equal(at("start of week"), Date.parse("2024-09-02T04:00:00Z"));
+    assert.equal(at("end of week"), Date.parse("2024-09-09T03:00:00Z") - 1);
+    assert.equal(at("start of month"), Date.parse("2024-09-01T04:00:00Z"));
+    assert.equal(at("start of year"), Date.parse("2024-01-01T03:00:00Z"));
+  });
+
+  it("applies offsets to the anchor", () => {
+    assert.equal(at("now-24h"), now - 86400000);
+    assert.equal(at("-7d"), now - 7 * 86400000);
+    assert.equal(at("start of day+1h"), Date.parse("2024-09-08T05:00:00Z"));
+  });
+});
@@ -0,0 +1,166 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { detectGaps, fillGaps, resample } from "../utils/timeseries.js";
+
+const at = (iso) => Date.parse(iso);
+
+describe("resample", () => {
+  it("puts a row on a bucket edge in the bucket it starts", () => {
+    const rows = [
+      { timestamp: at("2025-02-01T11:20:00Z"), D19: 1 },
+      { timestamp: at("2025-02-01T11:24:59.999Z"), D19: 2 },
+      { timestamp: at("2025-02-01T11:25:00Z"), D19: 3 },
+    ];
+    assert.deepEqual(resample(rows, { interval: "5m", agg: "count" }), [
+      { timestamp: at("2025-02-01T11:20:00Z"), D19: 2 },
+      { timestamp: at("2025-02-01T11:25:00Z"), D19: 1 },
+    ]);
+  });
+
+  it("keeps empty buckets between the first and the last row", () => {
+    const rows = [
+      { timestamp: at("2025-02-01T11:21:00Z"), D19: 1, D20: 5 },
+      { timestamp: at("2025-02-01T11:36:00Z"), D19: 4, D20: null },
+    ];
+    assert.deepEqual(resample(rows, { interval: "5m", agg: { D19: "sum", D20: "count" } }), [
+      { timestamp: at("2025-02-01T11:20:00Z"), D19: 1, D20: 1 },
+      { timestamp: at("2025-02-01T11:25:00Z"), D19: null, D20: 0 },
+      { timestamp: at("2025-02-01T11:30:00Z"), D19: null, D20: 0 },
+      { timestamp: at("2025-02-01T11:35:00Z"), D19: 4, D20: 0 },
+    ]);
+  });
+
+  it("aligns buckets to the first row", () => {
+    const rows = [
+      { timestamp: at("2025-02-01T11:21:49Z"), D19: 1 },
+      { timestamp: at("2025-02-01T11:26:48Z"), D19: 2 },
+      { timestamp: at("2025-02-01T11:26:49Z"), D19: 3 },
+    ];
+    assert.deepEqual(resample(rows, { interval: "5m", agg: "last", align: "first" }), [
+      { timestamp: at("2025-02-01T11:21:49Z"), D19: 2 },
+      { timestamp: at("2025-02-01T11:26:49Z"), D19: 3 },
+    ]);
+  });
+
+  it("starts days at local midnight and formats ISO input in the timezone", () => {
+    const rows = [
+      { timestamp: "2025-02-01T18:29:59.000Z", D19: "1" },
+      { timestamp: "2025-02-01T18:30:00.000Z", D19: "3" },
+    ];
+    assert.deepEqual(resample(rows, { interval: "1d", agg: "max", tz: "Asia/Kolkata" }), [
+      { timestamp: "2025-02-01T00:00:00.000+05:30", D19: 1 },
+      { timestamp: "2025-02-02T00:00:00.000+05:30", D19: 3 },
+    ]);
+  });
+
+  it("starts weeks on Monday", () => {
+    const rows = [
+      { timestamp: at("2025-02-01T12:00:00Z"), D19: 1 },
+      { timestamp: at("2025-02-03T00:00:00Z"), D19: 2 },
+    ];
+    assert.deepEqual(
+      resample(rows, { interval: "1w", agg: "first" }).map(({ timestamp }) => new Date(timestamp).toISOString()),
+      ["2025-01-27T00:00:00.000Z", "2025-02-03T00:00:00.000Z"]
+    );
+  });
+
+  it("shortens the day of a DST change instead of shifting later buckets", () => {
+    const rows = [
+      { timestamp: at("2025-03-08T12:00:00Z"), D19: 1 },
+      { timestamp: at("2025-03-09T12:00:00Z"), D19: 2 },
+      { timestamp: at("2025-03-10T03:59:59Z"), D19: 3 },
+      { timestamp: at("2025-03-10T12:00:00Z"), D19: 4 },
+    ];
+    assert.deepEqual(resample(rows, { interval: "1d", agg: "sum", tz: "America/New_York", unix: false }), [
+      { timestamp: "2025-03-08T00:00:00.000-05:00", D19: 1 },
+      { timestamp: "2025-03-09T00:00:00.000-05:00", D19: 5 },
+      { timestamp: "2025-03-10T00:00:00.000-04:00", D19: 4 },
+    ]);
+  });
+
+  it("rejects unknown intervals, aggregations and alignments", () => {
+    const rows = [{ timestamp: at("2025-02-01T11:20:00Z"), D19: 1 }];
+    assert.throws(() => resample(rows, { interval: "5 minutes" }), /Invalid interval/);
+    assert.throws(() => resample(rows, { interval: "5m", agg: "median" }), /Invalid aggregation: median/);
+    assert.throws(() => resample(rows, { interval: "5m", align: "hour" }), /Invalid align: hour/);
+  });
+});
+
+describe("detectGaps", () => {
+  it("infers the interval and counts the missing points", () => {
+    const rows = [0, 1, 2, 6, 7, 9].map((minute) => ({ time: minute * 60000, D19: minute }));
+    assert.deepEqual(detectGaps(rows), {
+      interval: 60000,
+      gaps: [
+        { start: 120000, end: 360000, duration: 240000, missing: 3 },
+        { start: 420000, end: 540000, duration: 120000, missing: 1 },
+      ],
+    });
+  });
+
+  it("only counts rows where the sensor has a value", () => {
+    const rows = [
+      { time: 0, D19: 1, D20: 1 },
+      { time: 60000, D19: null, D20: 2 },
+      { time: 120000, D19: 3, D20: 3 },
+    ];
+    assert.deepEqual(detectGaps(rows, { interval: "1m" }).gaps, []);
+    assert.deepEqual(detectGaps(rows, { interval: "1m", sensor: "D19" }).gaps, [
+      { start: 0, end: 120000, duration: 120000, missing: 1 },
+    ]);
+  });
+});
+
+describe("fillGaps", () => {
+  // A two minute gap in D19 around 1m and a four minute one around 3m to 5m
+  const rows = [
+    { time: 0, D19: 1 },
+    { time: 60000, D19: null },
+    { time: 120000, D19: 3 },
+    { time: 180000, D19: null },
+    { time: 240000, D19: null },
+    { time: 300000, D19: null },
+    { time: 360000, D19: 9 },
+  ];
+  const values = (filled) => filled.map(({ D19 }) => D19);
+
+  it("fills with each method", () => {
+    assert.deepEqual(values(fillGaps(rows, { method: "ffill" })), [1, 1, 3, 3, 3, 3, 9]);
+    assert.deepEqual(values(fillGaps(rows, { method: "bfill" })), [1, 3, 3, 9, 9, 9, 9]);
+    assert.deepEqual(values(fillGaps(rows, { method: "linear" })), [1, 2, 3, 4.5, 6, 7.5, 9]);
+    assert.deepEqual(values(fillGaps(rows, { method: "constant", value: 0 })), [1, 0, 3, 0, 0, 0, 9]);
+  });
+
+  it("leaves gaps longer than maxGap empty", () => {
+    assert.deepEqual(values(fillGaps(rows, { method: "linear", maxGap: "2m" })), [1, 2, 3, null, null, null, 9]);
+    assert.deepEqual(values(fillGaps(rows, { method: "ffill", maxGap: 120000 })), [1, 1, 3, null, null, null, 9]);
+    assert.deepEqual(values(fillGaps(rows, { method: "linear", maxGap: "4m" })), [1, 2, 3, 4.5, 6, 7.5, 9]);
+  });
+
+  it("measures gaps at the edges from the one known value", () => {
+    const edges = [
+      { time: 0, D19: null },
+      { time: 60000, D19: 1 },
+      { time: 120000, D19: null },
+      { time: 300000, D19: null },
+    ];
+    assert.deepEqual(values(fillGaps(edges, { method: "bfill", maxGap: "1m" })), [1, 1, null, null]);
+    assert.deepEqual(values(fillGaps(edges, { method: "ffill", maxGap: "1m" })), [null, 1, 1, null]);
+    assert.deepEqual(values(fillGaps(edges, { method: "linear" })), [null, 1, null, null]);
+  });
+
+  it("only fills the given sensors and does not modify the input", () => {
+    const input = [
+      { time: 0, D19: 1, D20: 1 },
+      { time: 60000, D19: null, D20: null },
+      { time: 120000, D19: 3, D20: 3 },
+    ];
+    assert.deepEqual(fillGaps(input, { method: "linear", sensors: ["D20"] })[1], { time: 60000, D19: null, D20: 2 });
+    assert.equal(input[1].D20, null);
+  });
+
+  it("rejects unknown methods and gap limits", () => {
+    assert.throws(() => fillGaps(rows, { method: "nearest" }), /Invalid fill method: nearest/);
+    assert.throws(() => fillGaps(rows, { method: "ffill", maxGap: "soon" }), /Invalid interval: soon/);
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Default fixtures of the mock IoSense server.
+ *
+ * Two devices report every minute over 2025-02-01 (UTC) with deterministic values, so tests can assert exact results.
+ */
+
+export const USER_ID = "645a159222722a319ca5f5ad";
+export const SERIES_START = Date.UTC(2025, 1, 1);
+export const SERIES_END = Date.UTC(2025, 1, 2) - 60000;
+export const SERIES_INTERVAL = 60000;
+
+const sensors = (names) => Object.entries(names).map(([sensorId, sensorName]) => ({ sensorId, sensorName }));
+
+const calibration = (sensorIds, { m = "1", c = 0, min = "-200", max = 10000 } = {}) =>
+  Object.fromEntries(
+    sensorIds.map((sensorId) => [
+      sensorId,
+      [
+        { paramName: "m", paramValue: m },
+        { paramName: "c", paramValue: c },
+        { paramName: "min", paramValue: min },
+        { paramName: "max", paramValue: max },
+        { paramName: "automation", paramValue: false },
+      ],
+    ])
+  );
+
+const buildMetadata = ({ devID, devName, devTypeID, devTypeName, sensorNames, units, max = 10000 }) => {
+  const sensorIds = Object.keys(sensorNames);
+  return {
+    _id: `${devID}_id`,
+    devID,
+    devName,
+    devTypeID,
+    devTypeName,
+    sensors: sensors(sensorNames),
+    params: calibration(sensorIds, { max }),
+    unit: Object.fromEntries(sensorIds.map((id) => [id, units[id] ? [units[id]] : []])),
+    unitSelected: Object.fromEntries(sensorIds.map((id) => [id, units[id] || ""])),
+    properties: [
+      { propertyName: "connectionTimeout", propertyValue: "4000" },
+      { propertyName: "automation", propertyValue: false },
+    ],
+    custom: Object.fromEntries(
+      sensorIds.map((id) => [
+        id,
+        [
+          { customShow: "Raw Variable", customVariable: `${devID}_${id}` },
+          { customShow: "Processed Reading", customVariable: `1*${devID}_${id}+0` },
+        ],
+      ])
+    ),
+    location: { latitude: 19.076, longitude: 72.8777 },
+    tags: [devID],
+    topic: `devicesIn/${devID}/data`,
+    addedOn: "2023-05-08T19:16:46.808Z",
+    added_by: USER_ID,
+    widgets: [],
+    config: [],
+    geoFences: [],
+    canUserEdit: true,
+    star: false,
+    isHidden: false,
+    __v: 0,
+  };
+};
+
+/**
+ * Generates deterministic, evenly spaced rows for a set of sensors.
+ * @param {Object<string, Function>} generators - Map of sensor ID to a function of the point index returning the value, or null to skip the point
+ * @param {Object} [options] - Series range
+ * @param {number} [options.start=SERIES_START] - First timestamp in Unix milliseconds
+ * @param {number} [options.end=SERIES_END] - Last timestamp in Unix milliseconds
+ * @param {number} [options.interval=SERIES_INTERVAL] - Spacing of the points in milliseconds
+ * @returns {Array<Object>} Rows `{time, sensor, value}` with Unix millisecond times and string values
+ */
+export function generateSeries(generators, { start = SERIES_START, end = SERIES_END, interval = SERIES_INTERVAL } = {}) {
+  const rows = [];
+  for (let time = start, index = 0; time <= end; time += interval, index++) {
+    for (const [sensor, generate] of Object.entries(generators)) {
+      const value = generate(index);
+      if (value !== null) rows.push({ time, sensor, value: String(value) });
+    }
+  }
+  return rows;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Builds a fresh copy of the default fixtures.
+ * @returns {Object} `{user, devices, metadata, data, clusters, eventCategories, events}`
+ */
+export function defaultFixtures() {
+  const metadata = {
+    PTH_1009: buildMetadata({
+      devID: "PTH_1009",
+      devName: "Steam Trap 1009",
+      devTypeID: "STEAM_TRAP",
+      devTypeName: "Steam Trap",
+      sensorNames: { PT1: "Inlet Temperature", PT2: "Outlet Temperature", RSSI: "Network Strength" },
+      units: { PT1: "°C", PT2: "°C" },
+    }),
+    APRPLC_A3: buildMetadata({
+      devID: "APRPLC_A3",
+      devName: "Energy Meter A3",
+      devTypeID: "ENERGY443",
+      devTypeName: "Energy Meter",
+      sensorNames: { D19: "Current", D20: "Active Energy" },
+      units: { D19: "A", D20: "kWh" },
+      max: 1000000,
+    }),
+  };
+
+  return {
+    user: {
+      _id: USER_ID,
+      email: "test.user@example.com",
+      organisation: {
+        _id: "5b0d386f82d7525268dfbe06",
+        orgID: "Example_Org",
+        orgName: "Example Org",
+        hostname: "iosense.io",
+        phone: 9000000000,
+      },
+      timeCreated: "2022-01-12T07:01:01.379Z",
+      userDetail: {
+        _id: "61de7cad3ba65478ecf109f4",
+        personalDetails: {
+          name: { first: "Test", last: "User" },
+          profilePicUrl: "",
+          gender: "",
+        },
+      },
+    },
+    devices: Object.values(metadata).map(({ devID, devName, devTypeID }) => ({ devID, devName, devTypeID })),
+    metadata,
+    data: {
+      PTH_1009: generateSeries({
+        PT1: (i) => round(90 + 5 * Math.sin(i / 60)),
+        PT2: (i) => round(85 + 5 * Math.cos(i / 60)),
+        // The network strength is only reported every 5 minutes
+        RSSI: (i) => (i % 5 === 0 ? 20 + (i % 7) : null),
+      }),
+      APRPLC_A3: generateSeries({
+        D19: (i) => round(10 + (i % 30) / 10),
+        D20: (i) => round(55000 + i * 0.5),
+      }),
+    },
+    eventCategories: [
+      { _id: "65b0c1f2e4b0a1a2b3c4d5e1", name: "Alarms" },
+      { _id: "65b0c1f2e4b0a1a2b3c4d5e2", name: "Maintenance" },
+    ],
+    events: [
+      {
+        _id: "65b0c3a9e4b0a1a2b3c4d601",
+        title: "High temperature",
+        message: "PT1 above 94 °C",
+        metaData: { devID: "PTH_1009", sensor: "PT1" },
+        hoverData: {},
+        eventTags: ["65b0c1f2e4b0a1a2b3c4d5e1"],
+        createdOn: "2025-02-01T01:30:00.000Z",
+      },
+      {
+        _id: "65b0c3a9e4b0a1a2b3c4d602",
+        title: "Filter change",
+        message: "Filter replaced on APRPLC_A3",
+        metaData: { devID: "APRPLC_A3" },
+        hoverData: {},
+        eventTags: ["65b0c1f2e4b0a1a2b3c4d5e2"],
+        createdOn: "2025-02-01T10:00:00.000Z",
+      },
+      {
+        _id: "65b0c3a9e4b0a1a2b3c4d603",
+        title: "High temperature",
+        message: "PT1 above 94 °C",
+        metaData: { devID: "PTH_1009", sensor: "PT1" },
+        hoverData: {},
+        eventTags: ["65b0c1f2e4b0a1a2b3c4d5e1"],
+        createdOn: "2025-02-01T07:45:00.000Z",
+      },
+    ],
+    clusters: [
+      {
+        id: "649164a1aed625c0bf4d54cd",
+        name: "Energy Meters",
+        devConfigs: [{ devId: "APRPLC_A3", percentage: 100, sensor: "D20" }],
+      },
+      {
+        id: "649164bc183296bc97f9ed94",
+        name: "Steam Traps",
+        devConfigs: [{ devId: "PTH_1009", percentage: 50, sensor: "PT1" }],
+      },
+    ],
+  };
+}
@@ -0,0 +1,112 @@
+/**
+ * Type definitions for the io_connect/testing mock server.
+ */
+
+import type { DeviceDetails, DeviceMetadata, EndpointName, EventCategory, LoadEntity, PlatformEvent, UserInfo } from "../index.js";
+
+export interface FixtureRow {
+  /** Unix milliseconds or an ISO string. */
+  time: number | string;
+  sensor: string;
+  value: string | number | boolean | null;
+}
+
+export interface Fixtures {
+  user: UserInfo | Record<string, unknown>;
+  devices: Array<DeviceDetails | Record<string, unknown>>;
+  metadata: Record<string, DeviceMetadata | Record<string, unknown>>;
+  /** Rows per device ID. */
+  data: Record<string, FixtureRow[]>;
+  clusters: Array<LoadEntity | Record<string, unknown>>;
+  eventCategories: EventCategory[];
+  /** Published events, `createdOn` as an ISO string. */
+  events: PlatformEvent[];
+}
+
+export type Endpoint =
+  | "user"
+  | "allDevices"
+  | "device"
+  | "getAllClusterData"
+  | "getAllData"
+  | "getLimitedDataMultipleSensors"
+  | "getMultipleSensorsDPAfter"
+  | "getCursorOfBatches"
+  | "getStartEndDPV2"
+  | "clusterData"
+  | "getOperationDataWithTime"
+  | "user-trigger-with-title"
+  | "eventTag"
+  | "publishEvent"
+  | "fetchEvents/timeslot"
+  | "fetchEvents/count"
+  | "eventLogger";
+
+export interface Fault {
+  endpoint?: Endpoint | null;
+  type?: "status" | "timeout" | "malformed";
+  status?: number;
+  body?: unknown;
+  delay?: number | null;
+  times?: number;
+}
+
+export interface RecordedRequest {
+  method: string;
+  endpoint: Endpoint | null;
+  path: string;
+  params: Record<string, string>;
+  body: unknown;
+  headers: Record<string, string | string[] | undefined>;
+}
+
+export interface MockServerOptions {
+  fixtures?: Partial<Fixtures>;
+  fixturesDir?: string | null;
+  userId?: string | null;
+  pageSize?: number;
+  latency?: number;
+  port?: number;
+  host?: string;
+  /** Path the API is mounted under, like the client option. */
+  pathPrefix?: string;
+  /** Endpoint paths, like the client option. */
+  endpoints?: Partial<Record<EndpointName, string>>;
+}
+
+export class MockIoSenseServer {
+  constructor(options?: MockServerOptions);
+  fixtures: Fixtures;
+  port: number;
+  host: string;
+  requests: RecordedRequest[];
+  readonly dataUrl: string;
+  pathPrefix: string;
+  endpoints: Partial<Record<EndpointName, string>>;
+  clientOptions(): {
+    userId: string;
+    dataUrl: string;
+    onPrem: true;
+    pathPrefix?: string;
+    endpoints?: Partial<Record<EndpointName, string>>;
+  };
+  start(): Promise<MockIoSenseServer>;
+  stop(): Promise<void>;
+  injectFault(fault?: Fault): void;
+  clearFaults(): void;
+}
+
+export function startMockServer(options?: MockServerOptions): Promise<MockIoSenseServer>;
+export function loadFixtures(dir: string): Partial<Fixtures>;
+export function defaultFixtures(): Fixtures;
+export function generateSeries(
+  generators: Record<string, (index: number) => string | number | boolean | null>,
+  options?: { start?: number; end?: number; interval?: number }
+): FixtureRow[];
+
+export const ENDPOINTS: Endpoint[];
+export const FIXTURE_KEYS: Array<keyof Fixtures>;
+export const USER_ID: string;
+export const SERIES_START: number;
+export const SERIES_END: number;
+export const SERIES_INTERVAL: number;
@@ -0,0 +1,576 @@
+/**
+ * Mock IoSense server for offline and integration testing.
+ *
+ * Implements every data service endpoint used by DataAccess and EventsHandler with the platform's response shapes and cursor
+ * pagination, serves them from fixtures, and can inject faults (error statuses, timeouts, malformed bodies).
+ *
+ * @example
+ * import DataAccess from "io_connect";
+ * import { startMockServer } from "io_connect/testing";
+ *
+ * const server = await startMockServer();
+ * const dataAccess = new DataAccess({ ...server.clientOptions(), throwOnError: true });
+ * server.injectFault({ endpoint: "getAllData", status: 503, times: 1 });
+ * const data = await dataAccess.dataQuery({ deviceId: "APRPLC_A3", startTime: "2025-02-01", endTime: "2025-02-01 01:00" });
+ * await server.stop();
+ */
+
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { ENDPOINTS as CLIENT_ENDPOINTS } from "../utils/constants.js";
+import { defaultFixtures } from "./fixtures.js";
+
+export { defaultFixtures, generateSeries, USER_ID, SERIES_START, SERIES_END, SERIES_INTERVAL } from "./fixtures.js";
+
+export const FIXTURE_KEYS = ["user", "devices", "metadata", "data", "clusters", "eventCategories", "events"];
+
+// Endpoint names, matched against the request path in order. `template` is the client endpoint served by the route,
+// `suffix` the part of the path the client appends to the template
+const ROUTES = [
+  { name: "user", template: "GET_USER_INFO_URL", method: "GET", pattern: /^\/api\/metaData\/user$/ },
+  { name: "allDevices", template: "GET_DEVICE_DETAILS_URL", method: "GET", pattern: /^\/api\/metaData\/allDevices$/ },
+  { name: "device", template: "GET_DEVICE_METADATA_URL", method: "GET", pattern: /^\/api\/metaData\/device\/([^/]+)$/ },
+  {
+    name: "getAllClusterData",
+    template: "GET_LOAD_ENTITIES",
+    method: "GET",
+    pattern: /^\/api\/metaData\/getAllClusterData\/([^/]+)\/(\d+)\/(\d+)$/,
+    suffix: "/([^/]+)/(\\d+)/(\\d+)",
+  },
+  { name: "getAllData", template: "INFLUXDB_URL", method: "GET", pattern: /^\/api\/apiLayer\/getAllData$/ },
+  { name: "getLimitedDataMultipleSensors", template: "GET_DP_URL", method: "GET", pattern: /^\/api\/apiLayer\/getLimitedDataMultipleSensors\/?$/ },
+  { name: "getMultipleSensorsDPAfter", template: "GET_FIRST_DP", method: "GET", pattern: /^\/api\/apiLayer\/getMultipleSensorsDPAfter$/ },
+  { name: "getCursorOfBatches", template: "GET_CURSOR_BATCHES_URL", method: "GET", pattern: /^\/api\/apiLayer\/getCursorOfBatches$/ },
+  { name: "getStartEndDPV2", template: "CONSUMPTION_URL", method: "GET", pattern: /^\/api\/apiLayer\/getStartEndDPV2$/ },
+  { name: "clusterData", template: "CLUSTER_AGGREGATION", method: "PUT", pattern: /^\/api\/widget\/clusterData$/ },
+  { name: "getOperationDataWithTime", template: "GET_FILTERED_OPERATION_DATA", method: "PUT", pattern: /^\/api\/consumption\/getOperationDataWithTime$/ },
+  { name: "user-trigger-with-title", template: "TRIGGER_URL", method: "PUT", pattern: /^\/api\/expression-schedular\/user-trigger-with-title$/ },
+  { name: "eventTag", template: "GET_EVENT_CATEGORIES_URL", method: "GET", pattern: /^\/api\/eventTag$/ },
+  { name: "publishEvent", template: "PUBLISH_EVENT_URL", method: "POST", pattern: /^\/api\/eventTag\/publishEvent$/ },
+  { name: "fetchEvents/timeslot", template: "GET_EVENTS_IN_TIMESLOT_URL", method: "PUT", pattern: /^\/api\/eventTag\/fetchEvents\/timeslot$/ },
+  { name: "fetchEvents/count", template: "GET_EVENT_DATA_COUNT_URL", method: "PUT", pattern: /^\/api\/eventTag\/fetchEvents\/count$/ },
+  { name: "eventLogger", template: "GET_DETAILED_EVENT_URL", method: "PUT", pattern: /^\/api\/eventTag\/eventLogger$/ },
+];
+
+export const ENDPOINTS = ROUTES.map(({ name }) => name);
+
+const AGGREGATORS = {
+  sum: (values) => values.reduce((sum, value) => sum + value, 0),
+  mean: (values) => (values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null),
+  // Reduced rather than spread, a spread of a large series overflows the call stack
+  min: (values) => (values.length ? values.reduce((min, value) => Math.min(min, value)) : null),
+  max: (values) => (values.length ? values.reduce((max, value) => Math.max(max, value)) : null),
+  first: (values) => (values.length ? values[0] : null),
+  last: (values) => (values.length ? values[values.length - 1] : null),
+};
+
+const FILTERS = {
+  ">": (value, threshold) => value > Number(threshold),
+  "<": (value, threshold) => value < Number(threshold),
+  ">=": (value, threshold) => value >= Number(threshold),
+  "<=": (value, threshold) => value <= Number(threshold),
+  "==": (value, threshold) => value === Number(threshold),
+  "!=": (value, threshold) => value !== Number(threshold),
+  // Range operators take "low,high"
+  "><": (value, threshold) => {
+    const [low, high] = String(threshold).split(",").map(Number);
+    return value > low && value < high;
+  },
+  "<>": (value, threshold) => {
+    const [low, high] = String(threshold).split(",").map(Number);
+    return value < low || value > high;
+  },
+};
+
+/**
+ * Builds the path pattern of an endpoint override, given like the client `endpoints` option.
+ * @param {string} template - A path such as "/api/v2/metaData/device/{device_id}", or a "{protocol}://{data_url}/..." template
+ * @param {string} [suffix="/?"] - Pattern of the path the client appends to the template
+ * @returns {RegExp} Pattern matching the request path, placeholders capture one path segment
+ */
+const overridePattern = (template, suffix = "/?") => {
+  const path = `/${template.replace(/^[^:/]+:\/\/[^/]*/, "").replace(/^\/+|\/+$/g, "")}`;
+  const source = path
+    .split(/\{\w+\}/)
+    .map((part) => part.replace(/[.*+?^$()|[\]\\]/g, "\\$&"))
+    .join("([^/]+)");
+  return new RegExp(`^${source}${suffix}$`);
+};
+
+const toMillis = (time) => (typeof time === "number" ? time : new Date(time).getTime());
+const toIso = (time) => new Date(time).toISOString();
+
+/**
+ * Reads fixture overrides from a directory of `<key>.json` files (user.json, devices.json, metadata.json,
+ * data.json, clusters.json, eventCategories.json, events.json). Missing files keep the defaults.
+ * @param {string} dir - Fixture directory
+ * @returns {Object} The fixtures found in the directory
+ */
+export function loadFixtures(dir) {
+  const fixtures = {};
+  for (const key of FIXTURE_KEYS) {
+    const file = path.join(dir, `${key}.json`);
+    if (fs.existsSync(file)) fixtures[key] = JSON.parse(fs.readFileSync(file, "utf8"));
+  }
+  return fixtures;
+}
+
+export class MockIoSenseServer {
+  /**
+   * @param {Object} [options] - Server options
+   * @param {Object} [options.fixtures] - Fixtures merged over the defaults: `{user, devices, metadata, data, clusters, eventCategories, events}`.
+   *                                      `data` maps each device ID to rows `{time, sensor, value}`, times as Unix milliseconds or ISO strings
+   * @param {string} [options.fixturesDir] - Directory of `<key>.json` fixture files, see loadFixtures
+   * @param {string} [options.userId=null] - Reject requests whose `userID` header differs with 401. Any user is accepted if null
+   * @param {number} [options.pageSize=1000] - Maximum rows per cursor page
+   * @param {number} [options.latency=0] - Delay before every response in milliseconds
+   * @param {number} [options.port=0] - Port to listen on, 0 picks a free port
+   * @param {string} [options.host="127.0.0.1"] - Host to listen on
+   * @param {string} [options.pathPrefix=""] - Path the API is mounted under, like the client option. Other paths answer 404
+   * @param {Object<string, string>} [options.endpoints={}] - Endpoint paths keyed by the client endpoint names, like the client option
+   * @throws {Error} If an endpoint name is unknown
+   */
+  constructor({
+    fixtures = {},
+    fixturesDir = null,
+    userId = null,
+    pageSize = 1000,
+    latency = 0,
+    port = 0,
+    host = "127.0.0.1",
+    pathPrefix = "",
+    endpoints = {},
+  } = {}) {
+    const unknownEndpoints = Object.keys(endpoints || {}).filter((name) => !(name in CLIENT_ENDPOINTS));
+    if (unknownEndpoints.length > 0) {
+      throw new Error(`Unknown endpoints: ${unknownEndpoints.join(", ")}. Use ${Object.keys(CLIENT_ENDPOINTS).join(", ")}`);
+    }
+    this.fixtures = { ...defaultFixtures(), ...(fixturesDir ? loadFixtures(fixturesDir) : {}), ...fixtures };
+    // Keep each device's rows sorted by time with numeric timestamps
+    this.fixtures.data = Object.fromEntries(
+      Object.entries(this.fixtures.data || {}).map(([deviceId, rows]) => [
+        deviceId,
+        rows.map((row) => ({ ...row, time: toMillis(row.time) })).sort((a, b) => a.time - b.time),
+      ])
+    );
+    this.userId = userId;
+    this.pageSize = pageSize;
+    this.latency = latency;
+    this.port = port;
+    this.host = host;
+    const prefix = (pathPrefix || "").replace(/^\/+|\/+$/g, "");
+    this.pathPrefix = prefix && `/${prefix}`;
+    this.endpoints = { ...endpoints };
+    this.routes = ROUTES.map((route) =>
+      this.endpoints[route.template] ? { ...route, pattern: overridePattern(this.endpoints[route.template], route.suffix) } : route
+    );
+    this.faults = [];
+    this.requests = [];
+    this.sockets = new Set();
+    this.server = null;
+  }
+
+  /**
+   * Host and port to pass as DataAccess `dataUrl`, available once started.
+   * @returns {string} e.g. "127.0.0.1:53412"
+   */
+  get dataUrl() {
+    return `${this.host}:${this.port}`;
+  }
+
+  /**
+   * DataAccess constructor options pointing at this server. The server speaks plain HTTP, hence `onPrem: true`.
+   * @returns {Object} `{userId, dataUrl, onPrem}`, plus `pathPrefix` and `endpoints` when the server has them
+   */
+  clientOptions() {
+    return {
+      userId: this.userId || this.fixtures.user?._id,
+      dataUrl: this.dataUrl,
+      onPrem: true,
+      ...(this.pathPrefix && { pathPrefix: this.pathPrefix }),
+      ...(Object.keys(this.endpoints).length > 0 && { endpoints: { ...this.endpoints } }),
+    };
+  }
+
+  /**
+   * Starts listening.
+   * @returns {Promise<MockIoSenseServer>} This server
+   */
+  start() {
+    if (this.server) return Promise.resolve(this);
+
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.server.on("connection", (socket) => {
+      this.sockets.add(socket);
+      socket.on("close", () => this.sockets.delete(socket));
+    });
+    return new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, () => {
+        this.server.removeListener("error", reject);
+        this.port = this.server.address().port;
+        resolve(this);
+      });
+    });
+  }
+
+  /**
+   * Stops the server, dropping open connections including requests held by timeout faults.
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.server) return Promise.resolve();
+
+    const server = this.server;
+    this.server = null;
+    this.sockets.forEach((socket) => socket.destroy());
+    this.sockets.clear();
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  /**
+   * Makes the next matching requests fail.
+   *
+   * @param {Object} fault - Fault description
+   * @param {string} [fault.endpoint=null] - Endpoint name (see ENDPOINTS, e.g. "getAllData"). Every endpoint if null
+   * @param {string} [fault.type="status"] - "status" answers with `status` and `body`, "timeout" never answers
+   *                                         (or answers after `delay` ms), "malformed" answers 200 with an invalid JSON body
+   * @param {number} [fault.status=500] - HTTP status for "status" faults
+   * @param {any} [fault.body] - Response body for "status" faults
+   * @param {number} [fault.delay=null] - For "timeout" faults, answer normally after this many milliseconds instead of never
+   * @param {number} [fault.times=1] - Number of requests to fail, Infinity for all
+   * @example
+   * server.injectFault({ endpoint: "getAllData", status: 503, times: 2 });
+   * server.injectFault({ endpoint: "allDevices", type: "timeout" });
+   * server.injectFault({ type: "malformed" });
+   */
+  injectFault({ endpoint = null, type = "status", status = 500, body = undefined, delay = null, times = 1 } = {}) {
+    if (endpoint !== null && !ENDPOINTS.includes(endpoint)) {
+      throw new Error(`Unknown endpoint: ${endpoint}. Use one of ${ENDPOINTS.join(", ")}`);
+    }
+    if (!["status", "timeout", "malformed"].includes(type)) {
+      throw new Error(`Unknown fault type: ${type}. Use 'status', 'timeout' or 'malformed'`);
+    }
+    this.faults.push({ endpoint, type, status, body, delay, remaining: times });
+  }
+
+  /**
+   * Removes every pending fault.
+   */
+  clearFaults() {
+    this.faults = [];
+  }
+
+  /**
+   * Returns and consumes the first pending fault matching an endpoint.
+   * @returns {Object|null} The fault
+   */
+  takeFault(endpoint) {
+    const fault = this.faults.find((f) => f.remaining > 0 && (f.endpoint === null || f.endpoint === endpoint));
+    if (!fault) return null;
+    fault.remaining -= 1;
+    this.faults = this.faults.filter((f) => f.remaining > 0);
+    return fault;
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const params = Object.fromEntries(url.searchParams);
+    const body = await readBody(req);
+    const prefixed = !this.pathPrefix || url.pathname.startsWith(`${this.pathPrefix}/`);
+    const pathname = prefixed ? url.pathname.slice(this.pathPrefix.length) : url.pathname;
+    const route = prefixed ? this.routes.find((r) => r.method === req.method && r.pattern.test(pathname)) : undefined;
+    const endpoint = route?.name ?? null;
+
+    this.requests.push({ method: req.method, endpoint, path: url.pathname, params, body, headers: req.headers });
+
+    if (this.latency > 0) await sleep(this.latency);
+
+    const send = (status, payload) => {
+      if (res.writableEnded || res.destroyed) return;
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(typeof payload === "string" ? payload : JSON.stringify(payload));
+    };
+
+    if (!route) return send(404, { success: false, errors: [`Cannot ${req.method} ${url.pathname}`] });
+
+    const fault = this.takeFault(endpoint);
+    if (fault?.type === "timeout") {
+      if (fault.delay === null) return; // Held open until the client gives up or the server stops
+      await sleep(fault.delay);
+    } else if (fault?.type === "malformed") {
+      return send(200, '{"success": true, "data": [');
+    } else if (fault) {
+      return send(fault.status, fault.body ?? { success: false, errors: [`Injected ${fault.status} error`] });
+    }
+
+    if (this.userId !== null && req.headers.userid !== this.userId) {
+      return send(401, { success: false, errors: ["Unauthorized"] });
+    }
+
+    try {
+      const [status, payload] = this.respond(endpoint, pathname.match(route.pattern).slice(1), params, body);
+      send(status, payload);
+    } catch (error) {
+      send(500, { success: false, errors: [error.message] });
+    }
+  }
+
+  /**
+   * Builds the response of an endpoint from the fixtures.
+   * @returns {Array} `[status, body]`
+   */
+  respond(endpoint, pathParams, params, body) {
+    const { user, devices, metadata, clusters, eventCategories, events } = this.fixtures;
+
+    switch (endpoint) {
+      case "user":
+        return [200, { success: true, data: user }];
+
+      case "allDevices":
+        return [200, { success: true, data: devices }];
+
+      case "device": {
+        const deviceId = decodeURIComponent(pathParams[0]);
+        if (!metadata[deviceId]) return [404, { success: false, errors: [`Device ${deviceId} not found`] }];
+        return [200, { success: true, data: metadata[deviceId] }];
+      }
+
+      case "getAllClusterData": {
+        const [, page, pageSize] = pathParams.map(Number);
+        const data = clusters.slice((page - 1) * pageSize, page * pageSize);
+        return [200, { success: true, data, totalCount: clusters.length }];
+      }
+
+      case "getAllData": {
+        // Ascending pages of at most `limit` rows, never splitting the rows of one timestamp
+        const limit = Math.min(Number(params.limit) || this.pageSize, this.pageSize);
+        const rows = this.rows(params.device, params.sensor, Number(params.sTime), Number(params.eTime));
+        let page = rows.slice(0, limit);
+        if (rows.length > limit) {
+          const lastTime = page[page.length - 1].time;
+          page = rows.filter((row) => row.time <= lastTime);
+        }
+        const next = rows[page.length];
+        return [
+          200,
+          {
+            data: page.map(formatRow),
+            cursor: next ? { start: next.time, end: Number(params.eTime) } : null,
+          },
+        ];
+      }
+
+      case "getLimitedDataMultipleSensors": {
+        // Latest rows before eTime (seconds), newest first, `lim` rows in total across pages
+        const end = Number(params.eTime) * 1000;
+        const lim = Number(params.lim) || 1;
+        const rows = this.rows(params.device, params.sensor, -Infinity, end).reverse();
+        const page = rows.slice(0, Math.min(lim, this.pageSize));
+        const remaining = lim - page.length;
+        const more = remaining > 0 && rows.length > page.length;
+        return [
+          200,
+          {
+            data: page.map(formatRow),
+            cursor: more ? { end: Math.ceil(page[page.length - 1].time / 1000) - 1, limit: remaining } : null,
+          },
+        ];
+      }
+
+      case "getMultipleSensorsDPAfter": {
+        const start = Number(params.time) * 1000;
+        const first = {};
+        for (const sensor of String(params.sensor || "").split(",")) {
+          const row = this.rows(params.device, sensor, start, Infinity)[0];
+          if (row) first[sensor] = formatRow(row);
+        }
+        return [200, [first]];
+      }
+
+      case "getCursorOfBatches": {
+        // Times are sent in nanoseconds
+        const rows = this.rows(params.device, params.sensor, Number(params.sTime) / 1e6, Number(params.eTime) / 1e6);
+        const batchSize = Number(params.limit) || rows.length || 1;
+        const counts = [];
+        for (let i = 0; i < rows.length; i += batchSize) {
+          const batch = rows.slice(i, i + batchSize);
+          counts.push({ time: toIso(batch[batch.length - 1].time), count: batch.length });
+        }
+        return [
+          200,
+          {
+            success: true,
+            data: {
+              counts,
+              timeStamps: rows.length ? [{ firstDPTime: rows[0].time, lastDPTime: rows[rows.length - 1].time }] : [],
+            },
+          },
+        ];
+      }
+
+      case "getStartEndDPV2": {
+        // The datapoint at or before each interval boundary between startTime and endTime
+        const start = Number(params.startTime);
+        const end = Number(params.endTime);
+        const interval = params.disableThreshold !== "true" && params.customIntervalInSec ? Number(params.customIntervalInSec) * 1000 : end - start;
+        const rows = this.rows(params.device, params.sensor, -Infinity, end);
+        const boundaries = [];
+        for (let time = start; time < end && interval > 0; time += interval) boundaries.push(time);
+        boundaries.push(end);
+
+        const result = {};
+        boundaries.forEach((boundary, index) => {
+          const row = [...rows].reverse().find((r) => r.time <= boundary) || rows.find((r) => r.time >= boundary);
+          if (row) result[index] = { time: toIso(row.time), value: row.value };
+        });
+        return [200, result];
+      }
+
+      case "clusterData": {
+        const cluster = clusters.find((c) => c.id === body?.clusterID);
+        if (!cluster) return [200, { errors: [`Cluster ${body?.clusterID} not found`] }];
+        const operator1 = AGGREGATORS[body.operator1];
+        const operator2 = AGGREGATORS[body.operator2];
+        if (!operator1 || !operator2) return [200, { errors: ["Unsupported operator"] }];
+
+        // operator2 aggregates each device over time, operator1 combines the devices
+        const perDevice = cluster.devConfigs
+          .map(({ devId, sensor, percentage }) => {
+            const values = this.values(devId, sensor, body.startTime, body.endTime);
+            const value = operator2(values);
+            return value === null ? null : (value * (percentage ?? 100)) / 100;
+          })
+          .filter((value) => value !== null);
+        return [200, { success: true, data: { time: toIso(Number(body.startTime)), value: operator1(perDevice) } }];
+      }
+
+      case "getOperationDataWithTime": {
+        const data = {};
+        for (const { devID, sensorID, operation, operator, operatorValue } of body?.devConfig || []) {
+          let rows = this.rows(devID, sensorID, Number(body.startTime), Number(body.endTime));
+          if (operator) {
+            const filter = FILTERS[operator];
+            if (!filter) return [200, { errors: [`Unsupported operator ${operator}`] }];
+            rows = rows.filter((row) => filter(Number(row.value), operatorValue));
+          }
+          if (rows.length === 0) continue;
+
+          const numeric = rows.filter((row) => !Number.isNaN(Number(row.value)));
+          let row;
+          if (operation === "first") row = rows[0];
+          else if (operation === "last") row = rows[rows.length - 1];
+          else if (operation === "min" || operation === "max") {
+            const better = operation === "min" ? (a, b) => a < b : (a, b) => a > b;
+            row = numeric.reduce((best, r) => (!best || better(Number(r.value), Number(best.value)) ? r : best), null);
+          } else return [200, { errors: [`Unsupported operation ${operation}`] }];
+
+          if (row) data[`${devID}_${sensorID}_${operation}`] = { time: toIso(row.time), value: row.value };
+        }
+        return [200, { success: true, data }];
+      }
+
+      case "user-trigger-with-title": {
+        const titles = Array.isArray(body?.title) ? body.title : [];
+        if (titles.length === 0) return [200, { error: "No titles provided" }];
+        return [200, { success: true, data: titles.map((title) => ({ title, triggered: true })) }];
+      }
+
+      case "eventTag":
+        return [200, { success: true, data: eventCategories }];
+
+      case "publishEvent": {
+        if (!body?.message || !Array.isArray(body.eventTags) || body.eventTags.length === 0) {
+          return [400, { success: false, errors: ["message and eventTags are required"] }];
+        }
+        const event = { _id: `event_${events.length + 1}`, ...body };
+        events.push(event);
+        return [200, { success: true, data: event }];
+      }
+
+      case "fetchEvents/timeslot": {
+        const data = this.events(body?.startTime, body?.endTime);
+        return [200, { success: true, data }];
+      }
+
+      case "fetchEvents/count": {
+        // Latest events before endTime, newest first
+        const data = this.events(-Infinity, body?.endTime).reverse().slice(0, Number(body?.count) || 10);
+        return [200, { success: true, data }];
+      }
+
+      case "eventLogger": {
+        const tags = new Set(body?.eventTags || []);
+        const matching = this.events(body?.startTime, body?.endTime).filter((event) =>
+          (event.eventTags || []).some((tag) => tags.has(tag))
+        );
+        const count = Number(body?.count) || matching.length;
+        const page = Number(body?.page) || 1;
+        const data = matching.slice((page - 1) * count, page * count);
+        return [200, { success: true, data: { data, totalCount: matching.length } }];
+      }
+
+      default:
+        return [404, { success: false, errors: [`Unknown endpoint ${endpoint}`] }];
+    }
+  }
+
+  /**
+   * Returns the fixture rows of a device for a comma separated sensor list within [start, end], in time order.
+   */
+  rows(deviceId, sensors, start, end) {
+    const sensorSet = new Set(String(sensors || "").split(",").filter(Boolean));
+    return (this.fixtures.data[deviceId] || []).filter(
+      (row) => (sensorSet.size === 0 || sensorSet.has(row.sensor)) && row.time >= start && row.time <= end
+    );
+  }
+
+  /**
+   * Returns the fixture events created within [start, end], in time order.
+   */
+  events(start, end) {
+    const from = start === -Infinity ? start : toMillis(start);
+    const to = toMillis(end);
+    return this.fixtures.events
+      .filter((event) => toMillis(event.createdOn) >= from && toMillis(event.createdOn) <= to)
+      .sort((a, b) => toMillis(a.createdOn) - toMillis(b.createdOn));
+  }
+
+  /**
+   * Returns the numeric values of one sensor within [start, end].
+   */
+  values(deviceId, sensor, start, end) {
+    return this.rows(deviceId, sensor, Number(start), Number(end))
+      .map((row) => Number(row.value))
+      .filter((value) => !Number.isNaN(value));
+  }
+}
+
+const formatRow = ({ time, sensor, value }) => ({ time: toIso(time), sensor, value });
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      if (!raw) return resolve(null);
+      try {
+        resolve(JSON.parse(raw));
+      } catch (error) {
+        resolve(raw);
+      }
+    });
+  });
+}
+
+/**
+ * Creates and starts a mock server.
+ * @param {Object} [options] - MockIoSenseServer options
+ * @returns {Promise<MockIoSenseServer>} The started server
+ */
+export function startMockServer(options = {}) {
+  return new MockIoSenseServer(options).start();
+}
@@ -0,0 +1,105 @@
+import { RequestAbortedError } from "./errors.js";
+
+/**
+ * Combines abort signals and an optional deadline into one signal.
+ *
+ * The signal aborts as soon as any of the given signals does, or once `timeoutMs` has passed. Call
+ * `dispose` when the operation ends so the timer and listeners do not outlive it.
+ *
+ * @param {Array<AbortSignal|null>} signals - Signals to follow, null entries are ignored
+ * @param {number} [timeoutMs=null] - Deadline in milliseconds, none if null
+ * @returns {Object} `{signal, dispose}`, signal is null when there is nothing to follow
+ */
+export function combineSignals(signals, timeoutMs = null) {
+  const sources = signals.filter(Boolean);
+  if (sources.length === 0 && !timeoutMs) return { signal: null, dispose: () => {} };
+
+  const controller = new AbortController();
+  const cleanups = [];
+  const abort = (reason) => {
+    if (!controller.signal.aborted) controller.abort(reason);
+  };
+
+  for (const source of sources) {
+    if (source.aborted) {
+      abort(source.reason);
+      break;
+    }
+    const onAbort = () => abort(source.reason);
+    source.addEventListener("abort", onAbort, { once: true });
+    cleanups.push(() => source.removeEventListener("abort", onAbort));
+  }
+
+  if (timeoutMs && !controller.signal.aborted) {
+    const timer = setTimeout(() => abort(new RequestAbortedError({ timedOut: true, timeoutMs })), timeoutMs);
+    cleanups.push(() => clearTimeout(timer));
+  }
+
+  return {
+    signal: controller.signal,
+    dispose: () => cleanups.forEach((cleanup) => cleanup()),
+  };
+}
+
+/**
+ * Builds the error thrown when a signal aborted.
+ * @param {AbortSignal} signal - The aborted signal
+ * @param {string} [url=null] - The URL that was being requested
+ * @returns {RequestAbortedError} The error
+ */
+export function abortError(signal, url = null) {
+  const reason = signal?.reason;
+  if (reason instanceof RequestAbortedError) {
+    return new RequestAbortedError({ url, timedOut: reason.timedOut, timeoutMs: reason.timeoutMs });
+  }
+  return new RequestAbortedError({ url, reason });
+}
+
+/**
+ * Throws a RequestAbortedError if the signal has aborted.
+ * @param {AbortSignal|null} signal - The signal
+ * @param {string} [url=null] - The URL that was being requested
+ */
+export function throwIfAborted(signal, url = null) {
+  if (signal?.aborted) throw abortError(signal, url);
+}
+
+/**
+ * Settles like `promise`, unless the signal aborts first, which rejects with a RequestAbortedError.
+ * The promise itself keeps running, e.g. for other callers sharing it.
+ * @param {Promise<any>} promise - The promise to wait for
+ * @param {AbortSignal|null} [signal=null] - Signal cutting the wait short
+ * @param {string} [url=null] - The URL that was being requested
+ * @returns {Promise<any>} The result of the promise
+ */
+export function raceSignal(promise, signal = null, url = null) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(abortError(signal, url));
+    if (signal.aborted) onAbort();
+    else signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+/**
+ * Waits for a delay, rejecting with a RequestAbortedError as soon as the signal aborts.
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal|null} [signal=null] - Signal cutting the wait short
+ * @param {string} [url=null] - The URL that was being requested
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal = null, url = null) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError(signal, url));
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError(signal, url));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
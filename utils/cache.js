@@ -0,0 +1,144 @@
+import { raceSignal } from "./abort.js";
+import { CACHE_TTL } from "./constants.js";
+
+/**
+ * In-memory cache for metadata resources (device list, device metadata, user info, load entities).
+ *
+ * Entries expire after a per-resource TTL. Concurrent lookups of the same key share one request.
+ * Every lookup returns its own copy of the cached value, so callers may modify what they get.
+ * A custom store can be plugged in, it must implement `get(key)`, `set(key, entry)`, `delete(key)`
+ * and `keys()` and may return promises (e.g. a Redis backed store).
+ */
+export default class MetadataCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {boolean} [options.enabled=true] - Whether to cache at all
+   * @param {Object<string, number>} [options.ttl] - TTL in seconds per resource, merged over CACHE_TTL. 0 disables caching of that resource
+   * @param {Object} [options.store=new Map()] - Store holding the entries
+   */
+  constructor({ enabled = true, ttl = {}, store = new Map() } = {}) {
+    this.enabled = enabled;
+    this.ttl = { ...CACHE_TTL, ...ttl };
+    this.store = store;
+    this.pending = new Map();
+  }
+
+  /**
+   * Builds the store key of a cached entry.
+   * @param {string} resource - Resource name, e.g. "devices"
+   * @param {string|number|boolean} key - Key within the resource
+   * @param {string} [scope=""] - Server and user the entry belongs to, e.g. "user_1@https://datads.iosense.io"
+   * @returns {string} The store key
+   */
+  key(resource, key, scope = "") {
+    return scope ? `${resource}:${key}@${scope}` : `${resource}:${key}`;
+  }
+
+  /**
+   * Returns a copy of a cached value, or undefined if it is missing or expired.
+   * @param {string} resource - Resource name, e.g. "metadata"
+   * @param {string|number|boolean} key - Key within the resource
+   * @param {string} [scope=""] - Server and user the entry belongs to
+   * @returns {Promise<any>} The cached value
+   */
+  async get(resource, key, scope = "") {
+    const storeKey = this.key(resource, key, scope);
+    const entry = await this.store.get(storeKey);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      await this.store.delete(storeKey);
+      return undefined;
+    }
+    return structuredClone(entry.value);
+  }
+
+  /**
+   * Stores a copy of a value for the TTL of its resource.
+   * @param {string} resource - Resource name, e.g. "metadata"
+   * @param {string|number|boolean} key - Key within the resource
+   * @param {any} value - Value to cache
+   * @param {string} [scope=""] - Server and user the entry belongs to
+   */
+  async set(resource, key, value, scope = "") {
+    const ttl = this.ttl[resource] ?? 0;
+    if (!this.enabled || ttl <= 0) return;
+    await this.store.set(this.key(resource, key, scope), {
+      value: structuredClone(value),
+      expiresAt: Date.now() + ttl * 1000,
+    });
+  }
+
+  /**
+   * Returns the cached value or loads it with `loader`, caching the result.
+   * Errors thrown by the loader are not cached.
+   *
+   * Concurrent callers of the same key share one load, which runs with a signal owned by the cache rather than the
+   * signal of the first caller. A caller whose `signal` aborts stops waiting without affecting the others, the load
+   * itself is only cancelled once every caller waiting for it aborted.
+   *
+   * @param {string} resource - Resource name, e.g. "devices"
+   * @param {string|number|boolean} key - Key within the resource
+   * @param {Function} loader - Async function fetching the value, called with the AbortSignal of the load
+   * @param {Object} [options] - Lookup options
+   * @param {string} [options.scope=""] - Server and user the entry belongs to, so clients of different servers or users
+   *        sharing a store never read each other's entries
+   * @param {AbortSignal} [options.signal=null] - Signal of the caller
+   * @returns {Promise<any>} A copy of the cached or loaded value
+   * @throws {RequestAbortedError} If the signal of the caller aborted
+   */
+  async wrap(resource, key, loader, { scope = "", signal = null } = {}) {
+    if (!this.enabled || !(this.ttl[resource] > 0)) return loader(signal);
+
+    // Share one lookup between concurrent callers of the same key
+    const storeKey = this.key(resource, key, scope);
+    let lookup = this.pending.get(storeKey);
+    if (!lookup) {
+      const controller = new AbortController();
+      lookup = { controller, waiting: 0 };
+      lookup.promise = (async () => {
+        try {
+          const cached = await this.get(resource, key, scope);
+          if (cached !== undefined) return cached;
+
+          const value = await loader(controller.signal);
+          await this.set(resource, key, value, scope);
+          return value;
+        } finally {
+          if (this.pending.get(storeKey) === lookup) this.pending.delete(storeKey);
+        }
+      })();
+      this.pending.set(storeKey, lookup);
+    }
+
+    lookup.waiting++;
+    try {
+      // Callers sharing a lookup each get their own copy
+      return structuredClone(await raceSignal(lookup.promise, signal));
+    } finally {
+      lookup.waiting--;
+      if (lookup.waiting === 0 && signal?.aborted) {
+        // Nobody waits for the lookup anymore, later callers start a new one
+        if (this.pending.get(storeKey) === lookup) this.pending.delete(storeKey);
+        lookup.controller.abort(signal.reason);
+      }
+    }
+  }
+
+  /**
+   * Invalidates cached entries.
+   * @param {string} [resource] - Resource to clear ("devices", "metadata", "userInfo" or "loadEntities"). Clears everything if omitted
+   * @param {string} [key] - Single key within the resource to clear, e.g. a device ID for "metadata", in every scope
+   * @example
+   * dataAccess.cache.clear('devices');
+   * dataAccess.cache.clear('metadata', 'PTH_1009');
+   */
+  async clear(resource = null, key = null) {
+    const keys = [...(await this.store.keys())];
+    for (const storeKey of keys) {
+      if (resource !== null && !storeKey.startsWith(`${resource}:`)) continue;
+      // Clears the key in every scope
+      if (key !== null && storeKey !== this.key(resource, key) && !storeKey.startsWith(`${this.key(resource, key)}@`)) continue;
+      await this.store.delete(storeKey);
+    }
+  }
+}
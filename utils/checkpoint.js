@@ -0,0 +1,117 @@
+import fs from "fs";
+import path from "path";
+import readline from "readline";
+
+/**
+ * Saves the progress of a cursor walk to local files so a later run can resume it.
+ *
+ * `<id>.json` holds the query, the last completed cursor and the size of the rows saved so far, it is
+ * replaced atomically after every page. The raw rows are appended to `<id>.rows.ndjson`, so saving a
+ * page costs the same however long the walk already is. Rows appended after the last saved cursor,
+ * when the process stopped between the two writes, are dropped on load.
+ */
+export default class Checkpoint {
+  /**
+   * @param {Object} options - Checkpoint options
+   * @param {string} options.id - Checkpoint name, made of letters, digits, ".", "-" and "_"
+   * @param {string} [options.dir="checkpoints"] - Directory holding the checkpoint files, created if missing
+   */
+  constructor({ id, dir = "checkpoints" } = {}) {
+    if (typeof id !== "string" || !/^[\w.-]+$/.test(id)) {
+      throw new Error(`Invalid checkpoint id: ${id}. Use letters, digits, ".", "-" and "_"`);
+    }
+    this.id = id;
+    this.dir = path.resolve(dir);
+    this.file = path.join(this.dir, `${id}.json`);
+    this.rowsFile = path.join(this.dir, `${id}.rows.ndjson`);
+    this.state = null;
+  }
+
+  /**
+   * Loads the saved progress.
+   * @returns {Promise<Object|null>} `{query, cursor, rows}` with the rows saved so far, or null if there is no checkpoint
+   * @throws {Error} If the rows file is shorter than the checkpoint records
+   */
+  async load() {
+    let state;
+    try {
+      state = JSON.parse(await fs.promises.readFile(this.file, "utf8"));
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+
+    const handle = await fs.promises.open(this.rowsFile, "a");
+    try {
+      const { size } = await handle.stat();
+      if (size < state.bytes) {
+        throw new Error(`Checkpoint ${this.id} is corrupted: ${this.rowsFile} holds ${size} of ${state.bytes} bytes`);
+      }
+      await handle.truncate(state.bytes);
+    } finally {
+      await handle.close();
+    }
+
+    const rows = [];
+    if (state.bytes > 0) {
+      const lines = readline.createInterface({ input: fs.createReadStream(this.rowsFile), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (line) rows.push(JSON.parse(line));
+      }
+    }
+    this.state = state;
+    return { query: state.query, cursor: state.cursor, rows };
+  }
+
+  /**
+   * Starts a new checkpoint, discarding any saved rows.
+   * @param {Object} query - The query being walked, `startTime` and `endTime` are its first cursor
+   */
+  async begin(query) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(this.rowsFile, "");
+    this.state = {
+      id: this.id,
+      query,
+      cursor: { start: query.startTime, end: query.endTime },
+      rows: 0,
+      bytes: 0,
+      pages: 0,
+    };
+    await this.write();
+  }
+
+  /**
+   * Saves a completed page.
+   * @param {Array<Object>} rows - The rows of the page
+   * @param {Object|null} cursor - The cursor of the next page, null once the walk is complete
+   */
+  async save(rows, cursor) {
+    if (rows.length > 0) {
+      const chunk = rows.map((row) => JSON.stringify(row)).join("\n") + "\n";
+      await fs.promises.appendFile(this.rowsFile, chunk);
+      this.state.bytes += Buffer.byteLength(chunk);
+      this.state.rows += rows.length;
+    }
+    this.state.cursor = cursor ?? null;
+    this.state.pages += 1;
+    await this.write();
+  }
+
+  /**
+   * Replaces the checkpoint file, through a rename so a crash never leaves it half written.
+   */
+  async write() {
+    const temp = `${this.file}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify({ ...this.state, updatedAt: new Date().toISOString() }, null, 2));
+    await fs.promises.rename(temp, this.file);
+  }
+
+  /**
+   * Deletes the checkpoint files once the walk is complete.
+   */
+  async remove() {
+    await fs.promises.rm(this.file, { force: true });
+    await fs.promises.rm(this.rowsFile, { force: true });
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * Maps over items with an async function, running at most `concurrency` calls at a time.
+ *
+ * @param {Array} items - Items to process
+ * @param {number} concurrency - Maximum number of calls in flight
+ * @param {Function} fn - Async function called with (item, index)
+ * @returns {Promise<Array>} Results in the order of `items`
+ * @throws {Error} If concurrency is not a positive integer
+ * @example
+ * const sizes = await mapConcurrent(['A1', 'A2', 'A3'], 2, async (deviceId) => (await dataAccess.dataQuery({ deviceId })).length);
+ */
+export async function mapConcurrent(items, concurrency, fn) {
+  if (!(Number.isInteger(concurrency) && concurrency > 0)) {
+    throw new Error(`Invalid concurrency: ${concurrency}. Use a positive integer`);
+  }
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from({ length: Math.min(concurrency, Math.max(1, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
@@ -11,6 +11,7 @@ export const TIMEZONES = {
 /* ----------------------------- MQTT HANDLER ------------------------------- */
 export const MAX_CHUNK_SIZE = 1000;
 export const SLEEP_TIME = 1;
+export const MQTT_TOPIC = 'devicesIn/{device_id}/data';
 
 /* ----------------------------- DATA ACCESS -------------------------------- */
 export const GET_USER_INFO_URL = '{protocol}://{data_url}/api/metaData/user';
@@ -26,6 +27,51 @@ export const TRIGGER_URL = '{protocol}://{data_url}/api/expression-schedular/use
 export const CLUSTER_AGGREGATION = '{protocol}://{data_url}/api/widget/clusterData';
 export const GET_FILTERED_OPERATION_DATA = '{protocol}://{data_url}/api/consumption/getOperationDataWithTime';
 
+/* ---------------------------- EVENTS HANDLER ------------------------------ */
+export const PUBLISH_EVENT_URL = '{protocol}://{data_url}/api/eventTag/publishEvent';
+export const GET_EVENTS_IN_TIMESLOT_URL = '{protocol}://{data_url}/api/eventTag/fetchEvents/timeslot';
+export const GET_EVENT_DATA_COUNT_URL = '{protocol}://{data_url}/api/eventTag/fetchEvents/count';
+export const GET_EVENT_CATEGORIES_URL = '{protocol}://{data_url}/api/eventTag';
+export const GET_DETAILED_EVENT_URL = '{protocol}://{data_url}/api/eventTag/eventLogger';
+export const EVENTS_PAGE_SIZE = 1000;
+
+// Endpoint templates by name, the keys accepted by the `endpoints` client option
+export const ENDPOINTS = {
+  GET_USER_INFO_URL,
+  GET_DEVICE_DETAILS_URL,
+  GET_DEVICE_METADATA_URL,
+  GET_DP_URL,
+  GET_FIRST_DP,
+  GET_LOAD_ENTITIES,
+  INFLUXDB_URL,
+  GET_CURSOR_BATCHES_URL,
+  CONSUMPTION_URL,
+  TRIGGER_URL,
+  CLUSTER_AGGREGATION,
+  GET_FILTERED_OPERATION_DATA,
+  PUBLISH_EVENT_URL,
+  GET_EVENTS_IN_TIMESLOT_URL,
+  GET_EVENT_DATA_COUNT_URL,
+  GET_EVENT_CATEGORIES_URL,
+  GET_DETAILED_EVENT_URL
+};
+
 export const MAX_RETRIES = 15;
 export const RETRY_DELAY = [2, 4];
-export const CURSOR_LIMIT = 25000;
\ No newline at end of file
+// Error codes of requests that failed without a response and may succeed when sent again
+export const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ERR_NETWORK'];
+export const CURSOR_LIMIT = 25000;
+export const QUERY_CONCURRENCY = 5;
+// What calibration does with values outside a sensor's min/max range, the first is the default
+export const CAL_OUT_OF_RANGE = ['clamp', 'flag', 'null'];
+// Field of a pivoted row listing its flagged sensors, it is not a sensor column
+export const OUT_OF_RANGE_FIELD = 'outOfRange';
+export const REQUEST_TIMEOUT = 60000; // ms
+
+// Metadata cache TTL in seconds per resource
+export const CACHE_TTL = {
+  devices: 300,
+  metadata: 300,
+  userInfo: 300,
+  loadEntities: 300
+};
@@ -0,0 +1,150 @@
+/**
+ * Error classes raised by the connectors.
+ *
+ * By default DataAccess logs these and returns an empty result. Pass `throwOnError: true`
+ * to the constructor to have them thrown instead.
+ */
+
+/**
+ * Base class for every error raised by the SDK.
+ */
+export class IoSenseError extends Error {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = this.constructor.name;
+  }
+}
+
+/**
+ * The platform answered with a non 2xx status, or did not answer at all (network error, timeout).
+ */
+export class IoSenseHttpError extends IoSenseError {
+  /**
+   * @param {Object} options - Error details
+   * @param {string} options.message - Error message
+   * @param {string} options.url - The URL that was requested
+   * @param {number|null} [options.status=null] - HTTP status code, null when no response was received
+   * @param {any} [options.body=null] - The response body
+   * @param {Object} [options.headers={}] - The response headers
+   * @param {Error} [options.cause] - The underlying error
+   */
+  constructor({ message, url, status = null, body = null, headers = {}, cause }) {
+    super(message, { cause });
+    this.url = url;
+    this.status = status;
+    this.body = body;
+    this.headers = headers;
+  }
+}
+
+/**
+ * The platform answered with a 2xx status but the body reports an error or misses the expected data.
+ */
+export class InvalidResponseError extends IoSenseError {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [options] - Error details
+   * @param {string} [options.url] - The URL that was requested
+   * @param {any} [options.body] - The response body
+   */
+  constructor(message, { url, body } = {}) {
+    super(message);
+    this.url = url;
+    this.body = body;
+  }
+}
+
+/**
+ * A request kept failing until the retry budget was exhausted.
+ */
+export class MaxRetriesError extends IoSenseError {
+  /**
+   * @param {Object} options - Error details
+   * @param {string} options.url - The URL that was requested
+   * @param {number} options.attempts - Number of attempts made
+   * @param {Error} [options.cause] - The error of the last attempt
+   */
+  constructor({ url, attempts, cause }) {
+    super(`Max retries reached while calling ${url}`, { cause });
+    this.url = url;
+    this.attempts = attempts;
+  }
+}
+
+/**
+ * The device is not added in the user's account.
+ */
+export class DeviceNotFoundError extends IoSenseError {
+  /**
+   * @param {string} deviceId - The requested device ID
+   */
+  constructor(deviceId) {
+    super(`Device ${deviceId} not added in account`);
+    this.deviceId = deviceId;
+  }
+}
+
+/**
+ * No sensors were requested and the device metadata does not list any.
+ */
+export class NoSensorsError extends IoSenseError {
+  /**
+   * @param {string} deviceId - The requested device ID
+   */
+  constructor(deviceId) {
+    super(`No sensor data available for device ${deviceId}.`);
+    this.deviceId = deviceId;
+  }
+}
+
+/**
+ * The start time is after the end time.
+ */
+export class InvalidTimeRangeError extends IoSenseError {
+  /**
+   * @param {string|number|Date} startTime - The requested start time
+   * @param {string|number|Date} endTime - The requested end time
+   */
+  constructor(startTime, endTime) {
+    super(`Invalid time range: startTime(${startTime}) should be before endTime(${endTime}).`);
+    this.startTime = startTime;
+    this.endTime = endTime;
+  }
+}
+
+/**
+ * A client in replay mode made a request that was never recorded.
+ */
+export class RecordingNotFoundError extends IoSenseError {
+  /**
+   * @param {Object} options - Error details
+   * @param {string} options.method - HTTP method of the request
+   * @param {string} options.url - The URL that was requested
+   * @param {string} options.file - The fixture file that was looked up
+   */
+  constructor({ method, url, file }) {
+    super(`No recording for ${method} ${url} (expected ${file}). Record it first with the recorder in "record" mode.`);
+    this.method = method;
+    this.url = url;
+    this.file = file;
+  }
+}
+
+/**
+ * The request was cancelled through an AbortSignal or ran past its `timeoutMs` deadline.
+ */
+export class RequestAbortedError extends IoSenseError {
+  /**
+   * @param {Object} [options] - Error details
+   * @param {string} [options.url=null] - The URL that was being requested, if any
+   * @param {boolean} [options.timedOut=false] - Whether the deadline passed rather than the caller aborting
+   * @param {number} [options.timeoutMs=null] - The deadline that passed
+   * @param {any} [options.reason] - The abort reason given by the caller
+   */
+  constructor({ url = null, timedOut = false, timeoutMs = null, reason } = {}) {
+    super(timedOut ? `Timed out after ${timeoutMs} ms` : "Request aborted", { cause: reason });
+    this.url = url;
+    this.timedOut = timedOut;
+    this.timeoutMs = timeoutMs;
+  }
+}
@@ -0,0 +1,112 @@
+import fs from "fs";
+import { once } from "events";
+import zlib from "zlib";
+
+export const EXPORT_FORMATS = ["csv", "ndjson"];
+
+/**
+ * Escapes a value for a CSV cell. Null and undefined become empty cells.
+ * @param {any} value - The cell value
+ * @returns {string} The escaped cell
+ */
+export function toCsvCell(value) {
+  if (value === undefined || value === null) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Streams rows to a CSV or NDJSON file, optionally gzip compressed.
+ *
+ * Rows are written as they are passed in, respecting the stream's backpressure, so arbitrarily long
+ * exports only hold the current batch in memory.
+ */
+export default class ExportWriter {
+  /**
+   * @param {Object} options - Writer options
+   * @param {string} options.path - Output file path
+   * @param {string} [options.format="csv"] - "csv" or "ndjson"
+   * @param {Array<string>} options.columns - Row fields to write, in order
+   * @param {Object<string, string>} [options.headers={}] - Map of field to CSV header / NDJSON key. Fields missing from the map keep their name
+   * @param {boolean} [options.gzip=false] - Whether to gzip the output
+   */
+  constructor({ path, format = "csv", columns, headers = {}, gzip = false }) {
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Invalid export format: ${format}. Use one of ${EXPORT_FORMATS.join(", ")}`);
+    }
+    if (!path) {
+      throw new Error("The 'path' must be provided.");
+    }
+
+    this.path = path;
+    this.format = format;
+    this.columns = columns;
+    this.keys = columns.map((column) => headers[column] ?? column);
+    this.rows = 0;
+
+    this.file = fs.createWriteStream(path);
+    this.stream = this.file;
+    if (gzip) {
+      this.stream = zlib.createGzip();
+      this.stream.pipe(this.file);
+    }
+    this.failed = null;
+    this.stream.on("error", (error) => (this.failed = error));
+    this.file.on("error", (error) => (this.failed = error));
+
+    this.pending = format === "csv" ? `${this.keys.map(toCsvCell).join(",")}\n` : "";
+  }
+
+  /**
+   * Formats one row as a CSV line or NDJSON object.
+   * @param {Object} row - The row
+   * @returns {string} The serialised line, including the newline
+   */
+  formatRow(row) {
+    if (this.format === "csv") {
+      return `${this.columns.map((column) => toCsvCell(row[column])).join(",")}\n`;
+    }
+    const entry = {};
+    this.columns.forEach((column, index) => {
+      if (row[column] !== undefined) entry[this.keys[index]] = row[column];
+    });
+    return `${JSON.stringify(entry)}\n`;
+  }
+
+  /**
+   * Writes a batch of rows, waiting for the stream to drain when its buffer is full.
+   * @param {Array<Object>} rows - Rows to write
+   * @returns {Promise<void>}
+   */
+  async write(rows) {
+    if (this.failed) throw this.failed;
+    const chunk = this.pending + rows.map((row) => this.formatRow(row)).join("");
+    this.pending = "";
+    this.rows += rows.length;
+    if (chunk && !this.stream.write(chunk)) {
+      // Rejects if the stream errors before draining
+      await once(this.stream, "drain");
+    }
+  }
+
+  /**
+   * Flushes the remaining output and closes the file.
+   * @returns {Promise<Object>} `{path, rows}` with the number of data rows written
+   */
+  async close() {
+    if (this.pending) await this.write([]);
+    const finished = once(this.file, "finish");
+    this.stream.end();
+    await Promise.race([finished, once(this.stream, "error"), once(this.file, "error")]);
+    if (this.failed) throw this.failed;
+    return { path: this.path, rows: this.rows };
+  }
+
+  /**
+   * Closes the file after a failed export, discarding errors.
+   */
+  abort() {
+    this.stream.destroy();
+    this.file.destroy();
+  }
+}
@@ -0,0 +1,73 @@
+import path from "path";
+import winston from "winston";
+import DailyRotateFile from "winston-daily-rotate-file";
+
+/**
+ * Creates a winston logger writing daily rotated log files, for use as the `logger` option of DataAccess,
+ * EventsHandler and MQTTHandler.
+ *
+ * Every line goes to `<filename>-combined-<date>.log`, errors also go to `<filename>-error-<date>.log`.
+ * The `[NETWORK]` request timings logged with `logTime: true` are info lines, so they land in the
+ * combined log. Call closeFileLogger before exiting so pending lines are written.
+ *
+ * @param {Object} [options] - Logger options
+ * @param {string} [options.dir="logs"] - Directory holding the log files, created if missing
+ * @param {string} [options.filename="io-connect"] - Prefix of the log file names
+ * @param {number} [options.retentionDays=14] - Days of rotated files to keep, older ones are deleted
+ * @param {string|number} [options.maxSize="20m"] - Size at which a day's file is split, in bytes or with a "k", "m" or "g" unit
+ * @param {string} [options.level="info"] - Lowest level written
+ * @param {boolean} [options.zippedArchive=false] - Whether to gzip rotated files
+ * @param {boolean} [options.console=false] - Whether to also log to the console
+ * @returns {winston.Logger} The logger
+ * @example
+ * const logger = createFileLogger({ dir: "/var/log/collector", retentionDays: 30, maxSize: "50m" });
+ * const dataAccess = new DataAccess({ userId: "my_user_id", dataUrl: "data.url.com", logTime: true, logger });
+ */
+export function createFileLogger({
+  dir = "logs",
+  filename = "io-connect",
+  retentionDays = 14,
+  maxSize = "20m",
+  level = "info",
+  zippedArchive = false,
+  console = false,
+} = {}) {
+  const format = winston.format.combine(
+    winston.format.errors({ stack: true }),
+    winston.format.timestamp(),
+    winston.format.printf(
+      ({ timestamp, level, message, stack }) => `${timestamp} [${level.toUpperCase()}] ${stack || message}`
+    )
+  );
+
+  const rotated = (suffix, fileLevel) =>
+    new DailyRotateFile({
+      dirname: path.resolve(dir),
+      filename: `${filename}-${suffix}-%DATE%.log`,
+      datePattern: "YYYY-MM-DD",
+      maxFiles: `${retentionDays}d`,
+      maxSize,
+      zippedArchive,
+      level: fileLevel,
+    });
+
+  const transports = [rotated("combined", level), rotated("error", "error")];
+  if (console) transports.push(new winston.transports.Console());
+
+  return winston.createLogger({ level, format, transports });
+}
+
+/**
+ * Flushes and closes a logger created by createFileLogger.
+ * @param {winston.Logger} logger - The logger
+ * @returns {Promise<void>} Resolves once every log file is written
+ */
+export async function closeFileLogger(logger) {
+  const files = logger.transports.filter((transport) => transport instanceof DailyRotateFile);
+  await new Promise((resolve) => {
+    logger.once("finish", resolve);
+    logger.end();
+  });
+  // The transports finish once they have handed the lines to their file streams, wait for the streams too
+  await Promise.all(files.map((transport) => new Promise((resolve) => transport.logStream.end(() => resolve()))));
+}
@@ -0,0 +1,200 @@
+import { abortError } from "./abort.js";
+
+/**
+ * One set of limits: a concurrency cap and a token bucket refilled at `rps` tokens per second.
+ */
+class Bucket {
+  /**
+   * @param {Object} [options] - The limits
+   * @param {number} [options.concurrency=null] - Maximum requests in flight, unlimited if null
+   * @param {number} [options.rps=null] - Requests started per second, unlimited if null
+   * @param {number} [options.burst=1] - Requests that may start at once after an idle period
+   * @param {string} [label="limiter"] - Names the limits in validation errors
+   */
+  constructor({ concurrency = null, rps = null, burst = 1 } = {}, label = "limiter") {
+    if (concurrency !== null && !(Number.isInteger(concurrency) && concurrency > 0)) {
+      throw new Error(`Invalid ${label} concurrency: ${concurrency}. Use a positive integer`);
+    }
+    if (rps !== null && !(rps > 0)) {
+      throw new Error(`Invalid ${label} rps: ${rps}. Use a positive number`);
+    }
+    if (!(burst >= 1)) {
+      throw new Error(`Invalid ${label} burst: ${burst}. Use a number of at least 1`);
+    }
+    this.concurrency = concurrency ?? Infinity;
+    this.rps = rps;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updated = Date.now();
+    this.active = 0;
+    this.queued = 0;
+  }
+
+  /**
+   * @param {number} now - Current time in milliseconds
+   * @returns {number} 0 if a request may start now, the milliseconds until the next token, or Infinity
+   *                   while the concurrency cap is reached
+   */
+  wait(now) {
+    if (this.active >= this.concurrency) return Infinity;
+    if (!this.rps) return 0;
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.updated) * this.rps) / 1000);
+    this.updated = now;
+    return this.tokens >= 1 ? 0 : Math.ceil(((1 - this.tokens) * 1000) / this.rps);
+  }
+
+  take() {
+    this.active += 1;
+    if (this.rps) this.tokens -= 1;
+  }
+}
+
+/**
+ * Client-side limiter queueing requests so a client stays under a concurrency cap and a request rate.
+ *
+ * The global limits apply to every request. Limits given per endpoint, keyed by the SDK method name
+ * reported in the hook events (e.g. "getDp", "dataQuery"), apply on top of them. Requests start in
+ * the order they were queued, except that a request held back by its endpoint limits does not
+ * block requests to other endpoints. One limiter can be shared by several clients.
+ */
+export default class RateLimiter {
+  /**
+   * @param {Object} [options] - Limiter options
+   * @param {number} [options.concurrency=null] - Maximum requests in flight, unlimited if null
+   * @param {number} [options.rps=null] - Requests started per second, unlimited if null
+   * @param {number} [options.burst=1] - Requests that may start at once after an idle period, by default they are spaced 1/rps apart
+   * @param {Object<string, Object>} [options.endpoints={}] - `{concurrency, rps, burst}` per SDK method name
+   * @example
+   * const limiter = new RateLimiter({ concurrency: 8, rps: 20, endpoints: { getDp: { rps: 5 } } });
+   * const dataAccess = new DataAccess({ userId: "my_user_id", dataUrl: "data.url.com", limiter });
+   * setInterval(() => console.log(limiter.stats()), 10000);
+   */
+  constructor({ concurrency = null, rps = null, burst = 1, endpoints = {} } = {}) {
+    this.limits = new Bucket({ concurrency, rps, burst });
+    this.endpoints = new Map(
+      Object.entries(endpoints || {}).map(([name, limits]) => [name, new Bucket(limits, `limiter endpoint ${name}`)])
+    );
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Number of requests waiting for a slot.
+   * @returns {number}
+   */
+  get queued() {
+    return this.queue.length;
+  }
+
+  /**
+   * Number of requests in flight.
+   * @returns {number}
+   */
+  get active() {
+    return this.limits.active;
+  }
+
+  /**
+   * Reports the queue depth and the requests in flight, overall and per endpoint with limits.
+   * @returns {Object} `{active, queued, endpoints: {<name>: {active, queued}}}`
+   * @example
+   * limiter.stats() -> {"active":8,"queued":112,"endpoints":{"getDp":{"active":2,"queued":40}}}
+   */
+  stats() {
+    const endpoints = {};
+    for (const [name, bucket] of this.endpoints) {
+      endpoints[name] = { active: bucket.active, queued: bucket.queued };
+    }
+    return { active: this.active, queued: this.queued, endpoints };
+  }
+
+  /**
+   * Runs a task once the limits allow it and frees its slot when it settles.
+   * @param {string|null} name - SDK method name selecting the endpoint limits
+   * @param {Function} task - Starts the request, returns a promise
+   * @param {AbortSignal} [signal=null] - Removes the request from the queue when aborted
+   * @returns {Promise<any>} The result of the task
+   * @throws {RequestAbortedError} If the signal aborted while the request was queued
+   */
+  async schedule(name, task, signal = null) {
+    const release = await this.acquire(name, signal);
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  }
+
+  /**
+   * Waits for a slot.
+   * @param {string|null} name - SDK method name selecting the endpoint limits
+   * @param {AbortSignal} [signal=null] - Removes the request from the queue when aborted
+   * @returns {Promise<Function>} Resolves to the function freeing the slot
+   * @throws {RequestAbortedError} If the signal aborted while the request was queued
+   */
+  acquire(name, signal = null) {
+    const endpoint = this.endpoints.get(name);
+    const buckets = endpoint ? [this.limits, endpoint] : [this.limits];
+
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) return reject(abortError(signal));
+
+      const entry = { buckets, endpoint };
+      const onAbort = () => {
+        this.queue.splice(this.queue.indexOf(entry), 1);
+        if (endpoint) endpoint.queued -= 1;
+        reject(abortError(signal));
+        this.drain();
+      };
+      entry.start = () => {
+        signal?.removeEventListener("abort", onAbort);
+        let released = false;
+        resolve(() => {
+          if (released) return;
+          released = true;
+          buckets.forEach((bucket) => (bucket.active -= 1));
+          this.drain();
+        });
+      };
+
+      signal?.addEventListener("abort", onAbort, { once: true });
+      this.queue.push(entry);
+      if (endpoint) endpoint.queued += 1;
+      this.drain();
+    });
+  }
+
+  /**
+   * Starts every queued request the limits allow and schedules the next check when waiting on tokens.
+   */
+  drain() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const now = Date.now();
+    let nextCheck = Infinity;
+    for (let i = 0; i < this.queue.length; ) {
+      const entry = this.queue[i];
+      const wait = Math.max(...entry.buckets.map((bucket) => bucket.wait(now)));
+      if (wait === 0) {
+        entry.buckets.forEach((bucket) => bucket.take());
+        this.queue.splice(i, 1);
+        if (entry.endpoint) entry.endpoint.queued -= 1;
+        entry.start();
+        continue;
+      }
+      // Later requests may only overtake this one when its own endpoint limits hold it back
+      const globalWait = this.limits.wait(now);
+      if (globalWait > 0) {
+        nextCheck = Math.min(nextCheck, globalWait);
+        break;
+      }
+      nextCheck = Math.min(nextCheck, wait);
+      i += 1;
+    }
+
+    if (nextCheck < Infinity) {
+      this.timer = setTimeout(() => this.drain(), nextCheck);
+    }
+  }
+}
@@ -0,0 +1,194 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { AxiosError } from "axios";
+import { RecordingNotFoundError } from "./errors.js";
+
+export const RECORDER_MODES = ["passthrough", "record", "replay"];
+
+// Written in place of the user ID so fixtures can be shared and replayed by another account
+export const REDACTED_USER_ID = "{userID}";
+
+/**
+ * Records HTTP traffic to fixture files and replays it without network access.
+ *
+ * Each distinct request (method, URL, params and body) gets one JSON file holding the request and the
+ * responses it received, in order. Failed attempts are recorded too, so a retry sequence or a
+ * production error replays exactly as it happened. The user ID is redacted from URLs, params,
+ * bodies and responses before anything is written.
+ */
+export default class Recorder {
+  /**
+   * @param {Object} options - Recorder options
+   * @param {string} [options.mode="passthrough"] - "record", "replay" or "passthrough"
+   * @param {string} [options.dir="fixtures"] - Directory holding the fixture files
+   * @param {string} [options.userId] - The user ID to redact
+   */
+  constructor({ mode = "passthrough", dir = "fixtures", userId } = {}) {
+    if (!RECORDER_MODES.includes(mode)) {
+      throw new Error(`Invalid recorder mode: ${mode}. Use one of ${RECORDER_MODES.join(", ")}`);
+    }
+    this.mode = mode;
+    this.dir = path.resolve(dir);
+    this.userId = userId;
+    // Fixtures written (record) or read (replay) during this session, keyed by file name
+    this.fixtures = new Map();
+    this.positions = new Map();
+  }
+
+  /**
+   * Sends a request through the recorder.
+   * @param {Object} config - axios request config `{method, url, params, data, headers}`
+   * @param {Function} send - Sends the request over the network and resolves to the axios response
+   * @returns {Promise<Object>} The axios response, or the recorded one in replay mode
+   * @throws {AxiosError} The error of the request, or the recorded one in replay mode
+   * @throws {RecordingNotFoundError} If no fixture was recorded for the request in replay mode
+   */
+  async request(config, send) {
+    if (this.mode === "replay") return this.replay(config);
+    if (this.mode === "passthrough") return send();
+
+    try {
+      const response = await send();
+      this.record(config, { status: response.status, headers: plainHeaders(response.headers), body: response.data });
+      return response;
+    } catch (error) {
+      if (error instanceof AxiosError) {
+        this.record(config, {
+          error: { message: error.message, code: error.code ?? null },
+          status: error.response?.status ?? null,
+          headers: plainHeaders(error.response?.headers),
+          body: error.response?.data ?? null,
+        });
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Builds the redacted request description and the fixture file name of a request.
+   * @param {Object} config - axios request config
+   * @returns {Object} `{file, request}`
+   */
+  describe({ method = "get", url, params, data }) {
+    const request = this.redact({
+      method: method.toUpperCase(),
+      url,
+      params: params ?? null,
+      data: data ?? null,
+    });
+    const hash = crypto.createHash("sha1").update(stableStringify(request)).digest("hex").slice(0, 12);
+    const endpoint = new URL(request.url, "http://localhost").pathname
+      .split("/")
+      .filter((segment) => segment && segment !== encodeURIComponent(REDACTED_USER_ID))
+      .slice(-2)
+      .join("_")
+      .replace(/[^\w.-]/g, "_");
+    return { file: `${request.method}_${endpoint || "root"}_${hash}.json`, request };
+  }
+
+  /**
+   * Appends a response to the fixture of a request. The first response of a session replaces the
+   * fixture on disk, later ones (e.g. retries) are added after it.
+   */
+  record(config, response) {
+    const { file, request } = this.describe(config);
+    let fixture = this.fixtures.get(file);
+    if (!fixture) {
+      fixture = { request, responses: [] };
+      this.fixtures.set(file, fixture);
+    }
+    fixture.responses.push(this.redact(response));
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(path.join(this.dir, file), JSON.stringify(fixture, null, 2));
+  }
+
+  /**
+   * Serves the next recorded response of a request. The last response is repeated once the
+   * recorded ones are used up.
+   */
+  replay(config) {
+    const { file, request } = this.describe(config);
+    let fixture = this.fixtures.get(file);
+    if (!fixture) {
+      const filePath = path.join(this.dir, file);
+      if (!fs.existsSync(filePath)) {
+        throw new RecordingNotFoundError({ method: request.method, url: config.url, file: filePath });
+      }
+      fixture = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      this.fixtures.set(file, fixture);
+    }
+
+    const position = this.positions.get(file) ?? 0;
+    this.positions.set(file, position + 1);
+    const recorded = this.restore(fixture.responses[Math.min(position, fixture.responses.length - 1)]);
+    const response = recorded.status === null
+      ? undefined
+      : { status: recorded.status, statusText: "", headers: recorded.headers, data: recorded.body, config };
+
+    if (recorded.error) {
+      throw new AxiosError(recorded.error.message, recorded.error.code ?? undefined, config, null, response);
+    }
+    return response;
+  }
+
+  /**
+   * Replays the fixtures from the start again.
+   */
+  rewind() {
+    this.positions.clear();
+  }
+
+  /**
+   * Replaces the user ID with REDACTED_USER_ID, including `userID` fields and URL-encoded occurrences.
+   */
+  redact(value) {
+    if (!this.userId) return value;
+    const replacements = [
+      [this.userId, REDACTED_USER_ID],
+      [encodeURIComponent(this.userId), encodeURIComponent(REDACTED_USER_ID)],
+    ];
+    return mapStrings(value, (text) => replacements.reduce((result, [from, to]) => result.split(from).join(to), text), true);
+  }
+
+  /**
+   * Puts the user ID of this client back into a recorded response.
+   */
+  restore(value) {
+    if (!this.userId) return value;
+    return mapStrings(value, (text) => text.split(REDACTED_USER_ID).join(this.userId), false);
+  }
+}
+
+/**
+ * Applies a function to every string in a JSON-like value, optionally blanking `userID` fields.
+ */
+function mapStrings(value, fn, redactKeys) {
+  if (typeof value === "string") return fn(value);
+  if (Array.isArray(value)) return value.map((item) => mapStrings(item, fn, redactKeys));
+  if (value !== null && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        redactKeys && /^user_?id$/i.test(key) && typeof item === "string" ? REDACTED_USER_ID : mapStrings(item, fn, redactKeys),
+      ])
+    );
+  }
+  return value;
+}
+
+/**
+ * JSON with sorted object keys, so the fixture key does not depend on property order.
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value !== null && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+}
+
+const plainHeaders = (headers) => (headers ? JSON.parse(JSON.stringify(headers)) : {});
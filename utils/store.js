@@ -37,6 +37,20 @@ export default class Logger {
       }
     }
   
+    /**
+     * Logs a warning, through the logger's warn method if it has one and its info method otherwise
+     * @param {string} log
+     */
+    warn(log) {
+      if (this.logger?.warn) {
+        this.logger.warn(log);
+      } else if (this.logger?.info) {
+        this.logger.info(log);
+      } else {
+        console.warn(log);
+      }
+    }
+
     error(log) {
       if (this.logger?.error) {
         this.logger.error(log);
@@ -0,0 +1,357 @@
+/**
+ * Timezone helpers built on Intl, used to parse times given in the client timezone and to format
+ * returned timestamps in it.
+ */
+
+const pad = (value, length = 2) => String(value).padStart(length, "0");
+const formatWallTime = ({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }) =>
+  `${pad(year, 4)}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}.${pad(millisecond, 3)}`;
+
+/**
+ * Checks whether a timezone identifier is supported by the runtime.
+ * @param {string} timeZone - IANA timezone, e.g. "Asia/Kolkata"
+ * @returns {boolean} Whether the timezone is valid
+ */
+export function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Returns the UTC offset of a timezone at a given instant.
+ * @param {string} timeZone - IANA timezone, e.g. "Asia/Kolkata"
+ * @param {Date} date - The instant to get the offset at
+ * @returns {number} Offset in minutes, e.g. 330 for Asia/Kolkata
+ */
+export function getTimezoneOffset(timeZone, date) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(date);
+  const values = Object.fromEntries(parts.map(({ type, value }) => [type, Number(value)]));
+  const wallTime = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+  return Math.round((wallTime - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Converts a timestamp returned by the platform (ISO string, Unix milliseconds or Date) to a Date.
+ * @param {string|number|Date} time - The timestamp
+ * @returns {Date} The parsed date, invalid if the timestamp could not be parsed
+ */
+export function toDate(time) {
+  return time instanceof Date ? time : new Date(time);
+}
+
+/**
+ * Formats a timestamp as an ISO 8601 string with the UTC offset of the given timezone.
+ *
+ * @param {string|number|Date} time - The timestamp
+ * @param {string} [timeZone="UTC"] - IANA timezone, e.g. "Asia/Kolkata"
+ * @returns {string} The ISO string, or the input unchanged if it could not be parsed
+ * @example
+ * formatTime("2025-02-01T11:21:49.000Z", "Asia/Kolkata") -> "2025-02-01T16:51:49.000+05:30"
+ * formatTime(1738408909000, "UTC") -> "2025-02-01T11:21:49.000Z"
+ */
+export function formatTime(time, timeZone = "UTC") {
+  const date = toDate(time);
+  if (Number.isNaN(date.getTime())) return time;
+  if (!timeZone || timeZone === "UTC") return date.toISOString();
+
+  const offset = getTimezoneOffset(timeZone, date);
+  const wallTime = new Date(date.getTime() + offset * 60000).toISOString().slice(0, -1);
+  const sign = offset < 0 ? "-" : "+";
+  const absOffset = Math.abs(offset);
+  return `${wallTime}${sign}${pad(Math.floor(absOffset / 60))}:${pad(absOffset % 60)}`;
+}
+
+/**
+ * Returns the wall clock components of an instant in a timezone.
+ * @param {number} time - Unix timestamp in milliseconds
+ * @param {string} timeZone - IANA timezone
+ * @returns {Object} `{year, month, day, hour, minute, second, millisecond, weekday}` with month 1-12 and weekday 0 (Sunday) to 6
+ */
+function getWallTime(time, timeZone) {
+  const offset = getTimezoneOffset(timeZone, new Date(time));
+  const wall = new Date(time + offset * 60000);
+  return {
+    year: wall.getUTCFullYear(),
+    month: wall.getUTCMonth() + 1,
+    day: wall.getUTCDate(),
+    hour: wall.getUTCHours(),
+    minute: wall.getUTCMinutes(),
+    second: wall.getUTCSeconds(),
+    millisecond: wall.getUTCMilliseconds(),
+    weekday: wall.getUTCDay(),
+  };
+}
+
+/**
+ * Returns the instants at which a wall clock time occurs in a timezone: none if it is skipped by a DST change,
+ * two if it is repeated by one.
+ * @param {Object} wallTime - `{year, month, day, hour, minute, second, millisecond}` with month 1-12
+ * @param {string} timeZone - IANA timezone
+ * @param {string} label - Original input, used in error messages
+ * @returns {{asUTC: number, candidates: number[]}} The wall time read as UTC and the matching Unix timestamps, earliest first
+ * @throws {Error} If a field is out of range, e.g. February 30 or 24:00
+ */
+function resolveWallTime({ year, month, day, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone, label) {
+  const asUTC = Date.UTC(year, month - 1, day, hour, minute, second, millisecond);
+  label = label ?? formatWallTime({ year, month, day, hour, minute, second, millisecond });
+
+  // Date.UTC rolls out of range fields over, e.g. February 30 into March 2
+  const date = new Date(asUTC);
+  const fields = [
+    date.getUTCFullYear(),
+    date.getUTCMonth() + 1,
+    date.getUTCDate(),
+    date.getUTCHours(),
+    date.getUTCMinutes(),
+    date.getUTCSeconds(),
+  ];
+  if ([year, month, day, hour, minute, second].some((value, index) => value !== fields[index])) {
+    throw new Error(`Invalid date: ${label} is not a valid date and time`);
+  }
+
+  // The offset of the instant can only be one of the offsets in effect around it
+  const offsets = new Set(
+    [-86400000, 0, 86400000].map((shift) => getTimezoneOffset(timeZone, new Date(asUTC + shift)))
+  );
+  const candidates = [...offsets]
+    .map((offset) => asUTC - offset * 60000)
+    .filter((time) => getTimezoneOffset(timeZone, new Date(time)) * 60000 === asUTC - time)
+    .sort((a, b) => a - b);
+  return { asUTC, candidates };
+}
+
+/**
+ * Converts a wall clock time in a timezone to a Unix timestamp.
+ *
+ * @param {Object} wallTime - `{year, month, day, hour, minute, second, millisecond}` with month 1-12
+ * @param {string} timeZone - IANA timezone
+ * @param {string} [label] - Original input, used in error messages
+ * @returns {number} Unix timestamp in milliseconds
+ * @throws {Error} If a field is out of range, e.g. February 30 or 24:00
+ * @throws {Error} If the wall time does not exist (skipped by a DST change) or is ambiguous (repeated by a DST change)
+ */
+export function wallTimeToUnix(wallTime, timeZone, label = null) {
+  const { candidates } = resolveWallTime(wallTime, timeZone, label);
+  label = label ?? formatWallTime(wallTime);
+
+  if (candidates.length === 0) {
+    throw new Error(`Nonexistent time: ${label} does not exist in ${timeZone} (skipped by a DST change)`);
+  }
+  if (candidates.length > 1) {
+    throw new Error(`Ambiguous time: ${label} occurs twice in ${timeZone} (repeated by a DST change)`);
+  }
+  return candidates[0];
+}
+
+/**
+ * Returns the first instant of a calendar day in a timezone. Unlike wallTimeToUnix this never fails on DST
+ * changes: where clocks skip midnight (e.g. America/Santiago) the day starts at the change, and where
+ * midnight is repeated it starts at the first one.
+ *
+ * @param {Object} date - `{year, month, day}` with month 1-12
+ * @param {string} timeZone - IANA timezone
+ * @param {string} [label] - Original input, used in error messages
+ * @returns {number} Unix timestamp in milliseconds
+ * @throws {Error} If a field is out of range, e.g. February 30
+ */
+export function dayStartToUnix({ year, month, day }, timeZone, label = null) {
+  const { asUTC, candidates } = resolveWallTime({ year, month, day }, timeZone, label);
+  if (candidates.length > 0) return candidates[0];
+  // Midnight falls in the gap, so the day starts when the offset in effect before the change ends
+  return asUTC - getTimezoneOffset(timeZone, new Date(asUTC - 86400000)) * 60000;
+}
+
+// "2025-02-01", "2025/02/01 8:00", "2025-02-01T08:00:00.123456", the fraction is truncated to milliseconds
+const NAIVE_TIME = /^(\d{4})([-/])(\d{1,2})\2(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?)?$/;
+// A clock time followed by an explicit offset, e.g. "2025-02-01T08:00:00Z", "2025-02-01 08:00+05:30" or "Sat, 01 Feb 2025 08:00:00 GMT"
+const ABSOLUTE_TIME = /\d{1,2}:\d{2}(?::\d{2}(?:[.,]\d+)?)?\s*(?:Z|[+-]\d{2}(?::?\d{2})?|(?:GMT|UTC)(?:[+-]\d{2}:?\d{2})?)(?:\s*\([^)]*\))?$/i;
+const RELATIVE_TIME = /^(now|today|yesterday|tomorrow|(?:start|end) of (?:day|week|month|year))?((?:\s*[+-]\s*\d+\s*[smhdw])*)$/;
+const OFFSET_UNITS = {
+  s: 1000,
+  m: 60000,
+  h: 3600000,
+  d: 86400000,
+  w: 604800000,
+};
+
+/**
+ * Parses an interval such as "30s", "5m", "1h", "1d" or "1w" to milliseconds.
+ * @param {string|number} interval - The interval, numbers are taken as milliseconds
+ * @returns {number} The interval in milliseconds
+ * @throws {Error} If the interval cannot be parsed or is not positive
+ */
+export function parseInterval(interval) {
+  if (typeof interval === "number" && interval > 0) return interval;
+  const match = /^\s*(\d+)\s*([smhdw])\s*$/.exec(String(interval));
+  if (!match || Number(match[1]) === 0) {
+    throw new Error(`Invalid interval: ${interval}. Use a number and a unit (s, m, h, d, w), e.g. '5m'`);
+  }
+  return Number(match[1]) * OFFSET_UNITS[match[2]];
+}
+
+/**
+ * Resolves a relative or named time expression.
+ *
+ * The expression is an optional anchor followed by any number of offsets. Anchors are `now` (the default),
+ * `today`, `yesterday`, `tomorrow`, `start of day|week|month|year` and `end of day|week|month|year`, all
+ * evaluated in the given timezone. Anchors resolve to the first instant of their day, even where DST skips
+ * midnight. Offsets are `+`/`-` a number and a unit: `s`, `m`, `h`, `d` (24 hours) or `w` (7 days). Weeks
+ * start on Monday.
+ *
+ * @param {string} expression - The expression, e.g. "now-24h", "-7d", "yesterday", "start of month+1d"
+ * @param {string} timeZone - IANA timezone
+ * @param {number} [now=Date.now()] - Reference time in milliseconds
+ * @returns {number|null} Unix timestamp in milliseconds, or null if the string is not an expression
+ */
+export function parseRelativeTime(expression, timeZone, now = Date.now()) {
+  const match = RELATIVE_TIME.exec(expression.trim().toLowerCase());
+  if (!match || (!match[1] && !match[2])) return null;
+
+  const [, anchor = "now", offsets] = match;
+  let time = now;
+
+  if (anchor !== "now") {
+    const wall = getWallTime(now, timeZone);
+    let start;
+    let end;
+    if (anchor === "today" || anchor.endsWith(" day")) {
+      start = { year: wall.year, month: wall.month, day: wall.day };
+      end = { ...start, day: start.day + 1 };
+    } else if (anchor === "yesterday") {
+      start = { year: wall.year, month: wall.month, day: wall.day - 1 };
+    } else if (anchor === "tomorrow") {
+      start = { year: wall.year, month: wall.month, day: wall.day + 1 };
+    } else if (anchor.endsWith(" week")) {
+      start = { year: wall.year, month: wall.month, day: wall.day - ((wall.weekday + 6) % 7) };
+      end = { ...start, day: start.day + 7 };
+    } else if (anchor.endsWith(" month")) {
+      start = { year: wall.year, month: wall.month, day: 1 };
+      end = { ...start, month: start.month + 1 };
+    } else {
+      start = { year: wall.year, month: 1, day: 1 };
+      end = { ...start, year: start.year + 1 };
+    }
+
+    // Normalise overflowing days and months (e.g. day 0) through Date.UTC
+    const normalise = ({ year, month, day }) => {
+      const date = new Date(Date.UTC(year, month - 1, day));
+      return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+    };
+    time = anchor.startsWith("end of")
+      ? dayStartToUnix(normalise(end), timeZone, expression) - 1
+      : dayStartToUnix(normalise(start), timeZone, expression);
+  }
+
+  for (const [, sign, amount, unit] of offsets.matchAll(/([+-])\s*(\d+)\s*([smhdw])/g)) {
+    time += (sign === "-" ? -1 : 1) * Number(amount) * OFFSET_UNITS[unit];
+  }
+  return time;
+}
+
+/**
+ * Parses a time string to a Unix timestamp.
+ *
+ * Strings with a clock time and an offset, `Z` or `GMT` are absolute. Naive strings ("2025-02-01 08:00", "2025/02/01 8:00",
+ * "2025-02-01T08:00:00.123456", "2025-02-01") are read as wall time in `timeZone`, fractions below a millisecond are
+ * truncated. A date without a clock time resolves to the first instant of that day. Relative and named expressions
+ * are resolved with parseRelativeTime. Anything else is rejected rather than parsed in the host timezone.
+ *
+ * @param {string} time - The time string
+ * @param {string} [timeZone="UTC"] - IANA timezone for naive and named times
+ * @param {number} [now=Date.now()] - Reference time for relative expressions
+ * @returns {number} Unix timestamp in milliseconds
+ * @throws {Error} If the string cannot be parsed, or its clock time is nonexistent or ambiguous
+ * @example
+ * parseTime("2025-02-01 08:00", "Asia/Kolkata") -> 1738377000000
+ * parseTime("now-24h", "UTC", 1738377000000) -> 1738290600000
+ */
+export function parseTime(time, timeZone = "UTC", now = Date.now()) {
+  const value = time.trim();
+
+  const naive = NAIVE_TIME.exec(value);
+  if (naive) {
+    const [, year, , month, day, hour, minute = 0, second = 0, fraction = "0"] = naive;
+    // A date without a clock time names the day, so it resolves to its first instant
+    if (hour === undefined) {
+      return dayStartToUnix({ year: Number(year), month: Number(month), day: Number(day) }, timeZone, value);
+    }
+    return wallTimeToUnix(
+      {
+        year: Number(year),
+        month: Number(month),
+        day: Number(day),
+        hour: Number(hour),
+        minute: Number(minute),
+        second: Number(second),
+        millisecond: Number(fraction.slice(0, 3).padEnd(3, "0")),
+      },
+      timeZone,
+      value
+    );
+  }
+
+  const relative = parseRelativeTime(value, timeZone, now);
+  if (relative !== null) return relative;
+
+  // Only strings carrying their own offset are left to Date, which reads any other string in the host timezone
+  const parsed = ABSOLUTE_TIME.test(value) ? new Date(value).getTime() : NaN;
+  if (Number.isNaN(parsed)) {
+    throw new Error(
+      `Invalid date string: ${time}. Use a time with an offset or "Z", a naive "YYYY-MM-DD HH:mm:ss" time or a relative time such as "now-24h"`
+    );
+  }
+  return parsed;
+}
+
+/**
+ * Converts a time input (Unix milliseconds, Date, or a string understood by parseTime) to a Unix timestamp.
+ *
+ * @param {string|number|Date|null} time - The time, null for now
+ * @param {string} [timeZone="UTC"] - IANA timezone for naive and named times
+ * @returns {number} Unix timestamp in milliseconds
+ * @throws {Error} If a number is not in milliseconds, or the time cannot be parsed
+ */
+export function toUnix(time, timeZone = "UTC") {
+  // If time is not provided, use the current time
+  if (time === null || time === undefined) {
+    return Date.now();
+  }
+
+  // If time is already in Unix timestamp format (number)
+  if (typeof time === "number") {
+    // Validate that it's in milliseconds (>10 digits)
+    if (time <= 0 || String(time).length <= 10) {
+      throw new Error(
+        "Unix timestamp must be a positive integer in milliseconds, not seconds."
+      );
+    }
+    return time;
+  }
+
+  // Absolute, naive and relative strings are resolved in the given timezone
+  if (typeof time === "string") {
+    return parseTime(time, timeZone);
+  }
+
+  if (time instanceof Date) {
+    if (isNaN(time.getTime())) {
+      throw new Error(`Invalid date: ${time}`);
+    }
+    return time.getTime();
+  }
+
+  throw new Error("Time must be a string, number, Date object, or null");
+}
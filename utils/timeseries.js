@@ -0,0 +1,289 @@
+/**
+ * Client-side transforms for the pivoted rows returned by dataQuery and getCleanedTable.
+ */
+
+import { OUT_OF_RANGE_FIELD } from "./constants.js";
+import { formatTime, getTimezoneOffset, parseInterval, toDate } from "./time.js";
+
+// 1970-01-05 was a Monday, calendar weeks are aligned to it
+const WEEK_ORIGIN = 4 * 86400000;
+const WEEK = 7 * 86400000;
+
+/**
+ * Returns the time field name and the sensor columns of pivoted rows. The `outOfRange` list of flagged sensors is not a column.
+ * @param {Array<Object>} data - Pivoted rows
+ * @returns {Object} `{timeKey, sensors}`
+ */
+export function getColumns(data) {
+  const timeKey = data.some((row) => row.timestamp !== undefined) ? "timestamp" : "time";
+  const sensors = new Set();
+  data.forEach((row) => {
+    Object.keys(row).forEach((key) => {
+      if (key !== timeKey && key !== OUT_OF_RANGE_FIELD) sensors.add(key);
+    });
+  });
+  return { timeKey, sensors: [...sensors] };
+}
+
+const isMissing = (value) => value === undefined || value === null || value === "";
+
+/**
+ * Parses the timestamps of pivoted rows and sorts them in time order.
+ * @returns {Array<Object>} `{row, time}` entries with Unix milliseconds, rows with invalid timestamps are dropped
+ */
+function sortedRows(data, timeKey) {
+  return data
+    .map((row) => ({ row, time: toDate(row[timeKey]).getTime() }))
+    .filter(({ time }) => !Number.isNaN(time))
+    .sort((a, b) => a.time - b.time);
+}
+
+const numeric = (values) =>
+  values.map(Number).filter((value) => !Number.isNaN(value));
+
+export const AGGREGATIONS = {
+  mean: (values) => {
+    const numbers = numeric(values);
+    return numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+  },
+  min: (values) => {
+    const numbers = numeric(values);
+    // Reduced rather than spread, a spread of a large bucket overflows the call stack
+    return numbers.length ? numbers.reduce((min, value) => Math.min(min, value)) : null;
+  },
+  max: (values) => {
+    const numbers = numeric(values);
+    return numbers.length ? numbers.reduce((max, value) => Math.max(max, value)) : null;
+  },
+  sum: (values) => {
+    const numbers = numeric(values);
+    return numbers.length ? numbers.reduce((sum, value) => sum + value, 0) : null;
+  },
+  first: (values) => (values.length ? values[0] : null),
+  last: (values) => (values.length ? values[values.length - 1] : null),
+  count: (values) => values.length,
+};
+
+/**
+ * Returns the start of the calendar bucket containing `time`, in the wall clock of `timeZone`.
+ * @returns {number} Bucket start as Unix milliseconds
+ */
+function calendarBucket(time, interval, timeZone) {
+  const offset = getTimezoneOffset(timeZone, new Date(time)) * 60000;
+  const wallTime = time + offset;
+  const origin = interval % WEEK === 0 ? WEEK_ORIGIN : 0;
+  const bucketWall = Math.floor((wallTime - origin) / interval) * interval + origin;
+  // Use the offset in effect at the bucket start, which differs from `time` across a DST change
+  return bucketWall - getTimezoneOffset(timeZone, new Date(bucketWall - offset)) * 60000;
+}
+
+/**
+ * Resamples pivoted rows into fixed, evenly spaced buckets.
+ *
+ * Buckets without data are kept with null values (0 for `count`), so the output has one row per interval
+ * between the first and the last bucket.
+ *
+ * @param {Array<Object>} data - Pivoted rows with a `timestamp` (or `time`) field and one field per sensor, as returned by dataQuery
+ * @param {Object} options - Resampling options
+ * @param {string|number} options.interval - Bucket size, e.g. "30s", "5m", "1h", "1d", "1w", or milliseconds
+ * @param {string|Object<string, string>} [options.agg="mean"] - Aggregation ("mean", "min", "max", "sum", "first", "last", "count"),
+ *                                                                or a map of sensor to aggregation. Sensors missing from the map use "mean"
+ * @param {string} [options.align="calendar"] - "calendar" aligns buckets to the wall clock of `tz` (days start at local midnight,
+ *                                             weeks on Monday), "first" aligns them to the first row
+ * @param {string} [options.tz="UTC"] - Timezone used for calendar alignment and for formatting ISO timestamps
+ * @param {boolean} [options.unix=null] - Whether to return Unix timestamps. Defaults to the format of the input rows
+ * @returns {Array<Object>} Resampled rows, with bucket start times
+ * @throws {Error} If the interval or an aggregation is not supported
+ * @example
+ * resample([{ timestamp: "2025-02-01T11:21:49.000Z", D19: "2.19" }, { timestamp: "2025-02-01T11:23:49.000Z", D19: "2.58" }], { interval: "5m", agg: "max" })
+ * -> [{"timestamp":"2025-02-01T11:20:00.000Z","D19":2.58}]
+ */
+export function resample(data, { interval, agg = "mean", align = "calendar", tz = "UTC", unix = null } = {}) {
+  const step = parseInterval(interval);
+  if (!["calendar", "first"].includes(align)) {
+    throw new Error(`Invalid align: ${align}. Use 'calendar' or 'first'`);
+  }
+  if (!data || data.length === 0) return [];
+
+  const { timeKey, sensors } = getColumns(data);
+  const aggregations = Object.fromEntries(
+    sensors.map((sensor) => [sensor, typeof agg === "string" ? agg : agg[sensor] || "mean"])
+  );
+  Object.values(aggregations).forEach((name) => {
+    if (!AGGREGATIONS[name]) {
+      throw new Error(`Invalid aggregation: ${name}. Use one of ${Object.keys(AGGREGATIONS).join(", ")}`);
+    }
+  });
+  unix = unix ?? typeof data[0][timeKey] === "number";
+
+  const rows = sortedRows(data, timeKey);
+  if (rows.length === 0) return [];
+
+  const origin = rows[0].time;
+  const bucketOf = (time) =>
+    align === "calendar"
+      ? calendarBucket(time, step, tz)
+      : origin + Math.floor((time - origin) / step) * step;
+
+  // Collect the non empty values of each sensor per bucket, in time order
+  const buckets = new Map();
+  rows.forEach(({ row, time }) => {
+    const bucket = bucketOf(time);
+    if (!buckets.has(bucket)) buckets.set(bucket, {});
+    const values = buckets.get(bucket);
+    sensors.forEach((sensor) => {
+      const value = row[sensor];
+      if (isMissing(value)) return;
+      (values[sensor] = values[sensor] || []).push(value);
+    });
+  });
+
+  // Calendar buckets spanning a DST change are an hour shorter or longer than the interval
+  const nextBucket = (bucket) => {
+    const next = bucketOf(bucket + step);
+    return next > bucket ? next : bucketOf(bucket + step + 3600000);
+  };
+
+  const result = [];
+  const last = bucketOf(rows[rows.length - 1].time);
+  for (let bucket = bucketOf(origin); bucket <= last; bucket = nextBucket(bucket)) {
+    const values = buckets.get(bucket) || {};
+    const resampled = { [timeKey]: unix ? bucket : formatTime(bucket, tz) };
+    sensors.forEach((sensor) => {
+      resampled[sensor] = AGGREGATIONS[aggregations[sensor]](values[sensor] || []);
+    });
+    result.push(resampled);
+  }
+  return result;
+}
+
+/**
+ * Infers the reporting cadence of a series as the median spacing of its timestamps.
+ * @param {Array<number>} times - Sorted Unix timestamps in milliseconds
+ * @returns {number|null} The cadence in milliseconds, or null with fewer than two distinct timestamps
+ */
+export function inferInterval(times) {
+  const deltas = [];
+  for (let i = 1; i < times.length; i++) {
+    if (times[i] > times[i - 1]) deltas.push(times[i] - times[i - 1]);
+  }
+  if (deltas.length === 0) return null;
+  deltas.sort((a, b) => a - b);
+  const middle = Math.floor(deltas.length / 2);
+  return deltas.length % 2 ? deltas[middle] : (deltas[middle - 1] + deltas[middle]) / 2;
+}
+
+/**
+ * Finds the windows in which a series reported no data.
+ *
+ * A gap is reported wherever two consecutive timestamps are more than `tolerance` intervals apart. Without
+ * `interval`, the cadence is inferred from the median spacing of the timestamps.
+ *
+ * @param {Array<Object>} data - Pivoted rows with a `timestamp` (or `time`) field and one field per sensor, as returned by dataQuery
+ * @param {Object} [options] - Detection options
+ * @param {string|number} [options.interval=null] - Expected interval, e.g. "1m", or milliseconds. Inferred if omitted
+ * @param {string} [options.sensor=null] - Only count rows where this sensor has a value. Any row counts if omitted
+ * @param {number} [options.tolerance=1.5] - Multiple of the interval two rows may be apart before it is a gap
+ * @returns {Object} `{interval, gaps}` with the interval used in milliseconds, and gaps as `{start, end, duration, missing}`,
+ *                   where `start`/`end` are the timestamps of the rows around the gap, `duration` is in milliseconds and
+ *                   `missing` is the number of expected points that did not arrive
+ * @throws {Error} If the interval cannot be parsed
+ * @example
+ * detectGaps([{ time: 1738408800000, D19: 1 }, { time: 1738408860000, D19: 2 }, { time: 1738409100000, D19: 3 }], { interval: "1m" })
+ * -> {"interval":60000,"gaps":[{"start":1738408860000,"end":1738409100000,"duration":240000,"missing":3}]}
+ */
+export function detectGaps(data, { interval = null, sensor = null, tolerance = 1.5 } = {}) {
+  if (!data || data.length === 0) return { interval: interval === null ? null : parseInterval(interval), gaps: [] };
+
+  const { timeKey } = getColumns(data);
+  const rows = sortedRows(data, timeKey).filter(({ row }) => sensor === null || !isMissing(row[sensor]));
+  const step = interval === null ? inferInterval(rows.map(({ time }) => time)) : parseInterval(interval);
+  if (step === null) return { interval: null, gaps: [] };
+
+  const gaps = [];
+  for (let i = 1; i < rows.length; i++) {
+    const duration = rows[i].time - rows[i - 1].time;
+    if (duration > step * tolerance) {
+      gaps.push({
+        start: rows[i - 1].row[timeKey],
+        end: rows[i].row[timeKey],
+        duration,
+        missing: Math.max(1, Math.round(duration / step) - 1),
+      });
+    }
+  }
+  return { interval: step, gaps };
+}
+
+export const FILL_METHODS = ["ffill", "bfill", "linear", "constant"];
+
+/**
+ * Fills missing sensor values in pivoted rows.
+ *
+ * Methods are `ffill` (last known value), `bfill` (next known value), `linear` (interpolated in time between the
+ * known values around the gap, numeric values only) and `constant` (`value`). With `maxGap`, cells are only filled
+ * when the known values around them are at most `maxGap` apart; longer gaps stay null. At the edges of the series
+ * the distance to the one known value is used instead.
+ *
+ * @param {Array<Object>} data - Pivoted rows with a `timestamp` (or `time`) field and one field per sensor, as returned by dataQuery
+ * @param {Object} options - Fill options
+ * @param {string} options.method - "ffill", "bfill", "linear" or "constant"
+ * @param {any} [options.value=null] - Fill value for the "constant" method
+ * @param {string|number} [options.maxGap=null] - Longest gap to fill, e.g. "15m", or milliseconds. No limit if omitted
+ * @param {Array<string>} [options.sensors=null] - Sensors to fill. All sensors if omitted
+ * @returns {Array<Object>} New rows in time order with the missing values filled, the input is not modified
+ * @throws {Error} If the method is not supported or maxGap cannot be parsed
+ * @example
+ * fillGaps([{ time: 0, D19: 1 }, { time: 60000, D19: null }, { time: 120000, D19: 3 }], { method: "linear" })
+ * -> [{"time":0,"D19":1},{"time":60000,"D19":2},{"time":120000,"D19":3}]
+ */
+export function fillGaps(data, { method, value = null, maxGap = null, sensors = null } = {}) {
+  if (!FILL_METHODS.includes(method)) {
+    throw new Error(`Invalid fill method: ${method}. Use one of ${FILL_METHODS.join(", ")}`);
+  }
+  const limit = maxGap === null ? Infinity : parseInterval(maxGap);
+  if (!data || data.length === 0) return [];
+
+  const { timeKey, sensors: columns } = getColumns(data);
+  const rows = sortedRows(data, timeKey).map(({ row, time }) => ({ row: { ...row }, time }));
+
+  for (const sensor of sensors || columns) {
+    // Indexes of the rows where the sensor has a value
+    const known = [];
+    rows.forEach(({ row }, index) => {
+      if (!isMissing(row[sensor])) known.push(index);
+    });
+
+    let next = 0;
+    rows.forEach(({ row, time }, index) => {
+      if (known[next] !== undefined && known[next] < index) next++;
+      if (!isMissing(row[sensor])) return;
+
+      const before = next > 0 ? rows[known[next - 1]] : null;
+      const after = known[next] !== undefined ? rows[known[next]] : null;
+      const span = (after ? after.time : time) - (before ? before.time : time);
+      if (span > limit) {
+        row[sensor] = null;
+        return;
+      }
+
+      if (method === "ffill") {
+        row[sensor] = before ? before.row[sensor] : null;
+      } else if (method === "bfill") {
+        row[sensor] = after ? after.row[sensor] : null;
+      } else if (method === "constant") {
+        row[sensor] = value;
+      } else {
+        const start = Number(before?.row[sensor]);
+        const end = Number(after?.row[sensor]);
+        row[sensor] =
+          before && after && !Number.isNaN(start) && !Number.isNaN(end)
+            ? after.time === before.time
+              ? start
+              : start + ((end - start) * (time - before.time)) / (after.time - before.time)
+            : null;
+      }
+    });
+  }
+  return rows.map(({ row }) => row);
+}
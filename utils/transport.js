@@ -0,0 +1,397 @@
+import axios from "axios";
+import { ENDPOINTS, MAX_RETRIES, REQUEST_TIMEOUT, RETRY_DELAY, RETRYABLE_ERROR_CODES } from "./constants.js";
+import { IoSenseHttpError, MaxRetriesError } from "./errors.js";
+import { abortError, sleep, throwIfAborted } from "./abort.js";
+import { createAgents, envProxy } from "./connection.js";
+import RateLimiter from "./limiter.js";
+import Recorder from "./recorder.js";
+import Logger from "./store.js";
+
+export const HOOKS = ["onRequest", "onResponse", "onRetry", "onError", "onPageFetched"];
+
+/**
+ * Shared HTTP transport used by every connector endpoint.
+ *
+ * Holds a single axios instance with keep-alive agents so connections are reused across
+ * requests, sends the default headers (`userID` and the auth headers) through the configured
+ * TLS and proxy settings and applies the retry policy in one place.
+ */
+export default class Transport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} options.userId - The user ID sent as the `userID` header
+   * @param {string} options.dataUrl - The data URL substituted for `{data_url}` in endpoint templates
+   * @param {boolean} [options.onPrem=false] - Whether to use http (on-premises) or https (Live)
+   * @param {string} [options.protocol=null] - "http" or "https" for every URL, overriding the one picked by onPrem
+   * @param {number} [options.port=null] - Port of the data URL, replacing any port in `dataUrl`
+   * @param {string} [options.pathPrefix=""] - Path the API is mounted under, e.g. "/iosense", appended to any path in `dataUrl`
+   * @param {Object<string, string>} [options.endpoints={}] - Endpoint templates or paths replacing those of constants.js, keyed by
+   *        their name in ENDPOINTS
+   * @param {number} [options.timeout=REQUEST_TIMEOUT] - Request timeout in milliseconds
+   * @param {Logger} [options.logger=null] - Logger used for timing and error logs
+   * @param {Recorder|Object|string} [options.recorder=null] - Recorder, its options (see utils/recorder.js) or just its mode
+   * @param {Object<string, Function>} [options.hooks={}] - Lifecycle hooks keyed by name, see HOOKS and request
+   * @param {RateLimiter|Object} [options.limiter=null] - Rate limiter, or its options (see utils/limiter.js), queueing every attempt
+   * @param {Object} [options.tls={}] - `{ca, cert, key, pfx, passphrase, rejectUnauthorized}` for https requests, see utils/connection.js
+   * @param {string|Object} [options.proxy=null] - HTTP(S) proxy URL or `{protocol, host, port, auth}`. Defaults to the proxy of
+   *        each URL in the HTTPS_PROXY, HTTP_PROXY and NO_PROXY environment variables, see envProxy
+   * @param {Object<string, string>} [options.headers={}] - Extra headers sent with every request, e.g. auth headers
+   * @param {string} [options.apiToken=null] - Token sent as `Authorization: Bearer <token>`
+   */
+  constructor({
+    userId,
+    dataUrl,
+    onPrem = false,
+    protocol = null,
+    port = null,
+    pathPrefix = "",
+    endpoints = {},
+    timeout = REQUEST_TIMEOUT,
+    logger = null,
+    recorder = null,
+    hooks = {},
+    limiter = null,
+    tls = {},
+    proxy = null,
+    headers = {},
+    apiToken = null,
+  }) {
+    this.userId = userId;
+    this.dataUrl = dataUrl;
+    this.onPrem = onPrem;
+    this.logger = logger || new Logger();
+    this.configureEndpoints({ protocol, port, pathPrefix, endpoints });
+    const unknownHooks = Object.keys(hooks || {}).filter((hook) => !HOOKS.includes(hook));
+    if (unknownHooks.length > 0) {
+      throw new Error(`Unknown hooks: ${unknownHooks.join(", ")}. Use ${HOOKS.join(", ")}`);
+    }
+    this.hooks = hooks || {};
+    this.recorder = !recorder || recorder instanceof Recorder
+      ? recorder
+      : new Recorder({ userId, ...(typeof recorder === "string" ? { mode: recorder } : recorder) });
+    this.limiter = !limiter || limiter instanceof RateLimiter ? limiter : new RateLimiter(limiter);
+
+    if (tls?.rejectUnauthorized === false) {
+      this.logger.warn("[TLS] Certificate verification is disabled, only use rejectUnauthorized: false with trusted networks");
+    }
+    this.tls = tls;
+    ({ httpAgent: this.httpAgent, httpsAgent: this.httpsAgent, proxy: this.proxy, proxyAgent: this.proxyAgent } =
+      createAgents({ tls, proxy }));
+    // Agents of the environment proxies, keyed by proxy URL
+    this.envProxies = new Map();
+
+    this.client = axios.create({
+      timeout,
+      decompress: true,
+      httpAgent: this.httpAgent,
+      httpsAgent: this.httpsAgent,
+      // Proxies are applied by proxyConfig, axios would send https requests to an environment proxy without CONNECT
+      proxy: false,
+      headers: {
+        userID: userId,
+        "Accept-Encoding": "gzip, deflate",
+        ...(apiToken && { Authorization: `Bearer ${apiToken}` }),
+        ...headers,
+      },
+    });
+  }
+
+  /**
+   * Validates and stores the endpoint settings used by buildUrl.
+   * @param {Object} options - See the constructor
+   * @throws {Error} If the data URL is missing, or the data URL, protocol, port or an endpoint name is invalid
+   */
+  configureEndpoints({ protocol, port, pathPrefix, endpoints }) {
+    if (!this.dataUrl) {
+      throw new Error('Missing dataUrl. Set the host of the data service, e.g. "datads.iosense.io"');
+    }
+    // Host (a name or a bracketed IPv6 address), optional port and optional path
+    const parts = String(this.dataUrl).match(/^(\[[^\]]+\]|[^/:?#]+)(?::(\d+))?(\/[^?#]*)?$/);
+    if (!parts) {
+      throw new Error(
+        `Invalid dataUrl: ${this.dataUrl}. Use a host with an optional port and path, e.g. "datads.iosense.io" or "10.0.0.5:8080/iosense"`
+      );
+    }
+    const [, host, dataUrlPort = null, dataUrlPath = ""] = parts;
+
+    protocol = protocol?.replace(/:$/, "") ?? null;
+    if (protocol !== null && !["http", "https"].includes(protocol)) {
+      throw new Error(`Invalid protocol: ${protocol}. Use http or https`);
+    }
+    if (port !== null && !(Number.isInteger(Number(port)) && port > 0 && port < 65536)) {
+      throw new Error(`Invalid port: ${port}. Use an integer between 1 and 65535`);
+    }
+    const unknownEndpoints = Object.keys(endpoints || {}).filter((name) => !(name in ENDPOINTS));
+    if (unknownEndpoints.length > 0) {
+      throw new Error(`Unknown endpoints: ${unknownEndpoints.join(", ")}. Use ${Object.keys(ENDPOINTS).join(", ")}`);
+    }
+
+    this.protocol = protocol;
+    const path = [dataUrlPath, pathPrefix || ""]
+      .map((part) => part.replace(/^\/+|\/+$/g, ""))
+      .filter(Boolean)
+      .map((part) => `/${part}`)
+      .join("");
+    const hostPort = port ?? dataUrlPort;
+    this.baseUrl = `${host}${hostPort === null ? "" : `:${hostPort}`}${path}`;
+    // Keyed by the default template, which is what the connectors pass to buildUrl
+    this.endpoints = new Map(
+      Object.entries(endpoints || {}).map(([name, template]) => [
+        ENDPOINTS[name],
+        template.includes("://") ? template : `{protocol}://{data_url}/${template.replace(/^\/+/, "")}`,
+      ])
+    );
+  }
+
+  /**
+   * Builds a request URL from one of the endpoint templates in constants.js, or its override from the
+   * `endpoints` option. `{data_url}` stands for the data URL with the configured port and path prefix.
+   *
+   * @param {string} template - Endpoint template, e.g. GET_USER_INFO_URL
+   * @param {Object} [options] - Values for the template placeholders
+   * @param {boolean} [options.onPrem=null] - Overrides the client onPrem flag for this URL, unless the client sets a protocol
+   * @returns {string} The resolved URL
+   * @example
+   * transport.buildUrl(GET_DEVICE_METADATA_URL, { device_id: "PTH_1009" })
+   * -> "https://datads.iosense.io/api/metaData/device/PTH_1009"
+   */
+  buildUrl(template, { onPrem = null, ...replacements } = {}) {
+    const protocol = this.protocol ?? ((onPrem ?? this.onPrem) ? "http" : "https");
+    return (this.endpoints.get(template) ?? template)
+      .replace("{protocol}", protocol)
+      .replace("{data_url}", this.baseUrl)
+      .replace(/\{(\w+)\}/g, (match, key) =>
+        replacements[key] !== undefined ? encodeURIComponent(replacements[key]) : match
+      );
+  }
+
+  /**
+   * Sends a request and returns the parsed response body, retrying failed attempts.
+   *
+   * Calls the `onRequest` hook before every attempt, `onResponse` after a successful one, `onRetry`
+   * before sleeping for the next attempt and `onError` when the request finally fails. With `page`,
+   * `onPageFetched` is called after `onResponse`. With a limiter, every attempt waits for a slot,
+   * retry sleeps do not hold one.
+   *
+   * @param {Object} options - Request options
+   * @param {string} [options.name=null] - Name of the SDK method issuing the request, reported to the hooks
+   * @param {string} [options.method="get"] - HTTP method
+   * @param {string} options.url - Absolute request URL
+   * @param {Object} [options.params] - Query string parameters
+   * @param {Object} [options.data] - Request body
+   * @param {Object} [options.headers] - Extra headers merged over the defaults
+   * @param {number} [options.maxRetries=MAX_RETRIES] - Total number of attempts before giving up
+   * @param {Array<number>} [options.retryDelay=RETRY_DELAY] - Delay in seconds between retries [normal, after 5 retries]
+   * @param {Function} [options.validate] - Called with the response body, throws if the API reported an error
+   * @param {Function} [options.page] - For paginated requests, called with the response body and returns the page
+   *                                    details (e.g. `{page, rows}`) merged into the `onPageFetched` event
+   * @param {AbortSignal} [options.signal=null] - Cancels the in-flight attempt and any pending retry
+   * @returns {Promise<any>} The response body
+   * @throws {IoSenseHttpError} If the request failed with a client error or could not be retried
+   * @throws {InvalidResponseError} If `validate` rejected the response body and the request could not be retried
+   * @throws {MaxRetriesError} If every attempt failed
+   * @throws {RequestAbortedError} If the signal aborted
+   */
+  async request({
+    name = null,
+    method = "get",
+    url,
+    params,
+    data,
+    headers,
+    maxRetries = MAX_RETRIES,
+    retryDelay = RETRY_DELAY,
+    validate = null,
+    page = null,
+    signal = null,
+  }) {
+    let retry = 0;
+
+    while (true) {
+      throwIfAborted(signal, url);
+      const event = { method: name, httpMethod: method.toUpperCase(), url, params: params ?? null, attempt: retry + 1 };
+      this.emit("onRequest", event);
+
+      const timer = new Logger(this.logger.logger, `API ${url} response time:`, this.logger.logTime);
+      let started = Date.now();
+      let status = null;
+      try {
+        // Timed from the moment the limiter lets the attempt go, the queue time is not part of its duration
+        const attempt = () => {
+          started = Date.now();
+          timer.startTimer();
+          return this.send({ method, url, params, data, headers, signal: signal ?? undefined });
+        };
+        const response = await (this.limiter ? this.limiter.schedule(name, attempt, signal) : attempt());
+        status = response.status ?? null;
+        if (validate) validate(response.data);
+
+        const completed = { ...event, status, duration: Date.now() - started };
+        this.emit("onResponse", completed);
+        if (page) this.emit("onPageFetched", { ...completed, ...page(response.data) });
+        return response.data;
+      } catch (err) {
+        const error = signal?.aborted ? abortError(signal, url) : this.toError(err, url);
+        const failed = { ...event, status: error.status ?? status, duration: Date.now() - started };
+        retry += 1;
+        if (!this.isRetryable(error) || maxRetries <= 1) {
+          this.emit("onError", { ...failed, error });
+          throw error;
+        }
+        if (retry >= maxRetries) {
+          this.logError(error, url);
+          const exhausted = new MaxRetriesError({ url, attempts: retry, cause: error });
+          this.emit("onError", { ...failed, error: exhausted });
+          throw exhausted;
+        }
+        this.logger.error(
+          `[${error.name}] Retry Count: ${retry}, ${error.message} ${this.errorMessage(error, url)}`
+        );
+        const sleepTime = retry > 5 ? retryDelay[1] : retryDelay[0];
+        this.emit("onRetry", { ...failed, error, delay: sleepTime * 1000 });
+        try {
+          await sleep(sleepTime * 1000, signal, url);
+        } catch (aborted) {
+          this.emit("onError", { ...failed, error: aborted });
+          throw aborted;
+        }
+      } finally {
+        timer.endTimer();
+      }
+    }
+  }
+
+  /**
+   * Calls a lifecycle hook. Hooks must not break requests, so their errors are logged and swallowed.
+   * @param {string} hook - Hook name, one of HOOKS
+   * @param {Object} event - The event passed to the hook
+   */
+  emit(hook, event) {
+    const handler = this.hooks[hook];
+    if (!handler) return;
+    try {
+      const result = handler(event);
+      if (result && typeof result.catch === "function") {
+        result.catch((error) => this.logger.error(`[HOOK] ${hook} failed: ${error?.message ?? error}`));
+      }
+    } catch (error) {
+      this.logger.error(`[HOOK] ${hook} failed: ${error?.message ?? error}`);
+    }
+  }
+
+  /**
+   * Sends a single attempt, through the recorder when one is configured.
+   * @param {Object} config - axios request config
+   * @returns {Promise<Object>} The axios response
+   */
+  send(config) {
+    const request = () => this.client.request(this.proxyConfig(config));
+    if (!this.recorder) return request();
+    return this.recorder.request(config, request);
+  }
+
+  /**
+   * Routes a request through the configured proxy, or else the environment proxy of its URL: https requests
+   * are tunneled by the https agent, plain http ones are sent to the proxy by axios.
+   * @param {Object} config - axios request config
+   * @returns {Object} The config with its proxy settings
+   */
+  proxyConfig(config) {
+    const route = this.proxy ? this : this.envProxyAgents(config.url);
+    if (!route) return config;
+    if (/^https:/i.test(config.url)) return { ...config, httpsAgent: route.httpsAgent };
+    return { ...config, proxy: route.proxy, ...(route.proxyAgent && { httpsAgent: route.proxyAgent }) };
+  }
+
+  /**
+   * Returns the agents of the environment proxy of a URL, created on first use of each proxy.
+   * @param {string} url - The request URL
+   * @returns {Object|null} `{httpAgent, httpsAgent, proxy, proxyAgent}` as built by createAgents, null if the URL is not proxied
+   */
+  envProxyAgents(url) {
+    const proxy = envProxy(url);
+    if (!proxy) return null;
+    if (!this.envProxies.has(proxy)) this.envProxies.set(proxy, createAgents({ tls: this.tls, proxy }));
+    return this.envProxies.get(proxy);
+  }
+
+  /**
+   * Destroys the pooled keep-alive sockets.
+   */
+  close() {
+    const agents = [this, ...this.envProxies.values()];
+    agents.forEach(({ httpAgent, httpsAgent, proxyAgent }) => {
+      httpAgent.destroy();
+      httpsAgent.destroy();
+      proxyAgent?.destroy();
+    });
+    this.envProxies.clear();
+  }
+
+  /**
+   * Only server errors, timeouts, throttling and network failures are retried. Client errors, responses
+   * rejected by `validate` and any other error will fail the same way again, so they surface at once.
+   * @param {Error} error - The error thrown by an attempt
+   * @returns {boolean} Whether the request should be attempted again
+   */
+  isRetryable(error) {
+    if (!(error instanceof IoSenseHttpError)) return false;
+    const status = error.status;
+    if (status) return status >= 500 || status === 408 || status === 429;
+    const cause = error.cause;
+    return axios.isAxiosError(cause) && !cause.response && RETRYABLE_ERROR_CODES.includes(cause.code);
+  }
+
+  /**
+   * Wraps axios errors in an IoSenseHttpError, other errors are returned unchanged.
+   * @param {Error} error - The error thrown by an attempt
+   * @param {string} url - The URL that was requested
+   * @returns {Error} The error to surface
+   */
+  toError(error, url) {
+    if (!axios.isAxiosError(error)) return error;
+    return new IoSenseHttpError({
+      message: error.message,
+      url,
+      status: error.response?.status ?? null,
+      body: error.response?.data ?? null,
+      headers: error.response?.headers ?? {},
+      cause: error,
+    });
+  }
+
+  /**
+   * Helper function to format error messages
+   * @param {Object} response - The response or IoSenseHttpError carrying the status
+   * @param {string} url - The URL that was requested
+   * @returns {string} Formatted error message
+   */
+  errorMessage(response, url) {
+    if (!response) return `URL: ${url}`;
+    return `Status: ${response?.status || "unknown"}, URL: ${url}`;
+  }
+
+  /**
+   * Logs the details of a failed request.
+   * @param {Error} error - The error thrown by the request
+   * @param {string} [url] - The URL that was requested
+   */
+  logError(error, url = error?.url) {
+    if (error instanceof IoSenseHttpError) {
+      const status = error.status;
+      const server = error.headers?.server || "Unknown Server";
+      const body = error.body || error.message;
+      this.logger.error(
+        `[EXCEPTION] ${error.name}:
+[STATUS CODE] ${status}
+[URL] ${url}
+[SERVER INFO] ${server}
+[RESPONSE] ${JSON.stringify(body)}`
+      );
+    } else if (error instanceof Error) {
+      this.logger.error(`[EXCEPTION] ${error.name}: ${error.message}`);
+    } else {
+      this.logger.error(`[EXCEPTION] ${error}`);
+    }
+  }
+}